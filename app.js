@@ -19,46 +19,38 @@ function toCurrency(x) {
 }
 
 /**
- * Calculate EMI for given principal, monthlyRate (decimal), and months.
- * If monthlyRate === 0, EMI = principal / months.
+ * Date as the value of an <input type="date"> (YYYY-MM-DD, local time)
  */
-function calculateEMI(principal, monthlyRate, months) {
-  if (months <= 0) return 0;
-  if (!principal || principal <= 0) return 0;
-  if (monthlyRate === 0) return principal / months;
-  const r = monthlyRate;
-  const pow = Math.pow(1 + r, months);
-  return (principal * r * pow) / (pow - 1);
+function toDateInputValue(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(d.getDate()).padStart(2, "0")}`;
 }
 
 /**
- * Given remaining principal (P), fixed EMI, and monthlyRate (decimal),
- * compute the number of months required to amortize P at that EMI.
+ * Local midnight of an <input type="date"> value, or null when it is empty
+ * or invalid
  */
-function calculateRemainingMonths(principal, emi, monthlyRate) {
-  if (principal <= 0) return 0;
-  if (emi <= 0) return Infinity;
-  if (monthlyRate === 0) {
-    return Math.ceil(principal / emi);
-  }
-  const monthlyInterest = principal * monthlyRate;
-  if (emi <= monthlyInterest + 1e-12) {
-    return Infinity;
-  }
-  const numerator = Math.log(emi / (emi - principal * monthlyRate));
-  const denominator = Math.log(1 + monthlyRate);
-  return numerator / denominator;
-}
-
-function addMonths(date, months) {
-  const d = new Date(date);
-  d.setMonth(d.getMonth() + months);
-  return d;
+function fromDateInputValue(value) {
+  const [y, m, d] = String(value || "")
+    .split("-")
+    .map(Number);
+  if (!y || !m || !d) return null;
+  const date = new Date(y, m - 1, d);
+  return isNaN(date.getTime()) ? null : date;
 }
 
-function formatDate(date) {
-  const opts = { year: "numeric", month: "short", day: "numeric" };
-  return new Date(date).toLocaleDateString("en-GB", opts);
+/**
+ * Escape user text (e.g. event notes) for use in innerHTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
 }
 
 /**
@@ -223,6 +215,7 @@ const tenureEl = document.getElementById("tenureMonths");
 const generateBtn = document.getElementById("generateBtn");
 const resetBtn = document.getElementById("resetBtn");
 const amortTableBody = document.querySelector("#amortTable tbody");
+const scheduleViewEl = document.getElementById("scheduleView");
 const interestSavedEl = document.getElementById("interestSaved");
 const completionDateEl = document.getElementById("completionDate");
 const origTotalInterestEl = document.getElementById("origTotalInterest");
@@ -230,6 +223,7 @@ const newTotalInterestEl = document.getElementById("newTotalInterest");
 const totalDisbursementsEl = document.getElementById("totalDisbursements");
 const applyChangesBtn = document.getElementById("applyChanges");
 const downloadCsvBtn = document.getElementById("downloadCsv");
+const downloadXlsxBtn = document.getElementById("downloadXlsx");
 const monthlyEMIEl = document.getElementById("monthlyEMI");
 const currentRoiEl = document.getElementById("currentRoi");
 const currentOutstandingEl = document.getElementById("currentOutstanding");
@@ -239,19 +233,164 @@ const totalLoanWithAllEl = document.getElementById("totalLoanWithAll");
 
 // Save/Load DOM elements
 const saveScenarioBtnEl = document.getElementById("saveScenarioBtn");
+const copyLinkBtnEl = document.getElementById("copyLinkBtn");
 const loadFileInputEl = document.getElementById("loadFileInput");
 const loadScenarioBtnEl = document.getElementById("loadScenarioBtn");
 const currentScenarioIdEl = document.getElementById("currentScenarioId");
 const loadedScenarioIdEl = document.getElementById("loadedScenarioId");
+const loadReportEl = document.getElementById("loadReport");
+
+// Repayment structure DOM elements
+const repaymentStructureEl = document.getElementById("repaymentStructure");
+const stepPercentEl = document.getElementById("stepPercent");
+const stepPercentRowEl = document.getElementById("stepPercentRow");
+const structureWordsEl = document.getElementById("structureWords");
+
+// Pre-EMI DOM elements
+const preEmiModeEl = document.getElementById("preEmiMode");
+const preEmiFieldsEl = document.getElementById("preEmiFields");
+const preEmiInitialDisbursementEl = document.getElementById(
+  "preEmiInitialDisbursement"
+);
+const preEmiStartMonthEl = document.getElementById("preEmiStartMonth");
+const preEmiWordsEl = document.getElementById("preEmiWords");
+
+// Loan start DOM elements
+const loanStartDateEl = document.getElementById("loanStartDate");
+const loanStartWordsEl = document.getElementById("loanStartWords");
+
+// Day count DOM elements
+const dayCountConventionEl = document.getElementById("dayCountConvention");
+const emiDueDayEl = document.getElementById("emiDueDay");
+const dayCountWordsEl = document.getElementById("dayCountWords");
+
+// Rate reset policy DOM elements
+const rateResetPolicyEl = document.getElementById("rateResetPolicy");
+const tenureCapFieldsEl = document.getElementById("tenureCapFields");
+const tenureCapTypeEl = document.getElementById("tenureCapType");
+const tenureCapExtensionYearsEl = document.getElementById(
+  "tenureCapExtensionYears"
+);
+const borrowerAgeEl = document.getElementById("borrowerAge");
+const tenureCapMaxAgeEl = document.getElementById("tenureCapMaxAge");
+const rateResetWordsEl = document.getElementById("rateResetWords");
+
+// Recurring prepayment DOM elements
+const recurringAmountEl = document.getElementById("recurringAmount");
+const recurringFrequencyEl = document.getElementById("recurringFrequency");
+const recurringStartMonthEl = document.getElementById("recurringStartMonth");
+const recurringEndMonthEl = document.getElementById("recurringEndMonth");
+const recurringStepUpEl = document.getElementById("recurringStepUp");
+const recurringModeEl = document.getElementById("recurringMode");
+const addRecurringBtnEl = document.getElementById("addRecurringBtn");
+const recurringRuleListEl = document.getElementById("recurringRuleList");
+
+// Event import DOM elements
+const importFileInputEl = document.getElementById("importFileInput");
+const importMappingEl = document.getElementById("importMapping");
+const importColumnEls = {
+  month: document.getElementById("importMonthColumn"),
+  disbursement: document.getElementById("importDisbursementColumn"),
+  prepayment: document.getElementById("importPrepaymentColumn"),
+  roi: document.getElementById("importRoiColumn"),
+};
+const importConflictModeEl = document.getElementById("importConflictMode");
+const importSummaryEl = document.getElementById("importSummary");
+const importPreviewBodyEl = document.getElementById("importPreviewBody");
+const importApplyBtnEl = document.getElementById("importApplyBtn");
+const importCancelBtnEl = document.getElementById("importCancelBtn");
+
+// Charges DOM elements
+const processingFeeEl = document.getElementById("processingFee");
+const processingFeeTypeEl = document.getElementById("processingFeeType");
+const legalChargesEl = document.getElementById("legalCharges");
+const valuationChargesEl = document.getElementById("valuationCharges");
+const insurancePremiumEl = document.getElementById("insurancePremium");
+const insuranceFinancedEl = document.getElementById("insuranceFinanced");
+const chargesWordsEl = document.getElementById("chargesWords");
+const interestRateWordsEl = document.getElementById("interestRateWords");
+
+// Moratorium DOM elements
+const moratoriumStartMonthEl = document.getElementById("moratoriumStartMonth");
+const moratoriumEndMonthEl = document.getElementById("moratoriumEndMonth");
+const moratoriumInterestEl = document.getElementById("moratoriumInterest");
+const moratoriumAfterEl = document.getElementById("moratoriumAfter");
+const addMoratoriumBtnEl = document.getElementById("addMoratoriumBtn");
+const moratoriumListEl = document.getElementById("moratoriumList");
+
+// Missed payment DOM elements
+const penalRateEl = document.getElementById("penalRate");
+const bounceChargeEl = document.getElementById("bounceCharge");
+const delinquencyWordsEl = document.getElementById("delinquencyWords");
+const delinquencyCostEl = document.getElementById("delinquencyCost");
+
+// Floating rate DOM elements
+const floatingRateModeEl = document.getElementById("floatingRateMode");
+const benchmarkSpreadEl = document.getElementById("benchmarkSpread");
+const benchmarkResetFrequencyEl = document.getElementById(
+  "benchmarkResetFrequency"
+);
+const benchmarkResetLagEl = document.getElementById("benchmarkResetLag");
+const benchmarkFileInputEl = document.getElementById("benchmarkFileInput");
+const benchmarkWordsEl = document.getElementById("benchmarkWords");
+
+// Scenario library DOM elements
+const libraryNameEl = document.getElementById("libraryName");
+const libraryTagsEl = document.getElementById("libraryTags");
+const saveToLibraryBtnEl = document.getElementById("saveToLibraryBtn");
+const saveAsNewToLibraryBtnEl = document.getElementById(
+  "saveAsNewToLibraryBtn"
+);
+const librarySearchEl = document.getElementById("librarySearch");
+const librarySortEl = document.getElementById("librarySort");
+const libraryListEl = document.getElementById("libraryList");
+
+// Comparison DOM elements
+const compareCurrentBtnEl = document.getElementById("compareCurrentBtn");
+const compareFileInputEl = document.getElementById("compareFileInput");
+const comparisonListEl = document.getElementById("comparisonList");
+const comparisonCardEl = document.getElementById("comparisonCard");
+const comparisonTableEl = document.getElementById("comparisonTable");
+const clearComparisonBtnEl = document.getElementById("clearComparisonBtn");
+
+// Edit history DOM elements
+const undoBtnEl = document.getElementById("undoBtn");
+const redoBtnEl = document.getElementById("redoBtn");
+const historyListEl = document.getElementById("historyList");
+
+// Tax benefit DOM elements
+const taxRegimeEl = document.getElementById("taxRegime");
+const taxSlabRateEl = document.getElementById("taxSlabRate");
+const taxInterestCapEl = document.getElementById("taxInterestCap");
+const taxPrincipalCapEl = document.getElementById("taxPrincipalCap");
+const taxOther80CEl = document.getElementById("taxOther80C");
+const taxWordsEl = document.getElementById("taxWords");
 
 /////////////////////// State ///////////////////////
 
 let originalSchedule = [];
 let currentSchedule = [];
+let currentTotals = null;
 let currentScenarioId = null;
 let loadedScenarioData = null;
 let amortizationChart = null;
-let loanStartDate = null;
+let recurringPrepayments = [];
+let moratoriums = [];
+let eventNotes = {};
+let benchmarkSeries = [];
+let importTable = null;
+let gridSelection = null;
+let gridDragging = false;
+let expandedYears = new Set();
+let libraryRecords = [];
+let libraryScenarioId = null;
+let comparedScenarios = [];
+let comparisonChart = null;
+let editHistory = [];
+let historyIndex = -1;
+let historyTimeout = null;
+let historyLabel = null;
+let restoringHistory = false;
 
 /////////////////////// NEW: Chart Functions ///////////////////////
 
@@ -391,15 +530,25 @@ async function createAmortizationChart() {
     }
 
     // Prepare data with formatted month/year labels
-    const startDate = new Date();
-    const labels = scheduleToChart.map((row, index) => {
-      const monthDate = addMonths(startDate, index + 1);
-      return formatMonthYear(monthDate);
-    });
+    const labels = scheduleToChart.map((row) =>
+      formatMonthYear(new Date(row.dueDate))
+    );
 
-    const interestData = scheduleToChart.map((row) => row.interest);
+    // Capitalised moratorium interest is not paid: show it as its own bar
+    const interestData = scheduleToChart.map(
+      (row) => row.interest - (row.capitalisedInterest || 0)
+    );
+    const capitalisedData = scheduleToChart.map(
+      (row) => row.capitalisedInterest || 0
+    );
+    const hasCapitalised = capitalisedData.some((v) => v > 0);
+    const moratoriumCost = scheduleToChart.reduce(
+      (s, row) => s + (row.moratoriumCost || 0),
+      0
+    );
     const principalData = scheduleToChart.map((row) => row.principal);
     const balanceData = scheduleToChart.map((row) => row.balance);
+    const hasEMISteps = scheduleToChart.some((row) => row.emiStepped);
 
     // Create chart
     amortizationChart = new Chart(ctx, {
@@ -423,6 +572,18 @@ async function createAmortizationChart() {
             borderWidth: 1,
             stack: "EMI",
           },
+          ...(hasCapitalised
+            ? [
+                {
+                  label: "Capitalised Interest (moratorium)",
+                  data: capitalisedData,
+                  backgroundColor: "#f59e0b",
+                  borderColor: "#d97706",
+                  borderWidth: 1,
+                  stack: "EMI",
+                },
+              ]
+            : []),
           {
             label: "Outstanding Balance",
             data: balanceData,
@@ -433,6 +594,23 @@ async function createAmortizationChart() {
             fill: false,
             yAxisID: "y1",
           },
+          // Step-up / step-down loans: show the yearly EMI staircase
+          ...(hasEMISteps
+            ? [
+                {
+                  label: "EMI (yearly steps)",
+                  data: scheduleToChart.map((row) => row.emi),
+                  type: "line",
+                  stepped: true,
+                  backgroundColor: "transparent",
+                  borderColor: "#a855f7",
+                  borderWidth: 2,
+                  pointRadius: 0,
+                  fill: false,
+                  yAxisID: "y",
+                },
+              ]
+            : []),
         ],
       },
       options: {
@@ -445,7 +623,12 @@ async function createAmortizationChart() {
         plugins: {
           title: {
             display: true,
-            text: "EMI Breakdown Over Time",
+            text:
+              moratoriumCost > 0
+                ? `EMI Breakdown Over Time (moratorium cost: ₹${toCurrency(
+                    moratoriumCost
+                  )} extra interest)`
+                : "EMI Breakdown Over Time",
           },
           legend: {
             position: "top",
@@ -581,321 +764,2495 @@ function toggleChart() {
   }
 }
 
-/////////////////////// Save/Load Functions ///////////////////////
+/////////////////////// Charges & Effective Rate ///////////////////////
 
-function generateScenarioId() {
-  const now = new Date();
-  const dateStr = now.toISOString().slice(0, 10).replace(/-/g, "");
-  const timeStr = now.getTime().toString().slice(-6);
-  return `LOAN_${dateStr}_${timeStr}`;
+function collectCharges() {
+  return {
+    processingFee: Number(processingFeeEl.value) || 0,
+    processingFeeType: processingFeeTypeEl.value,
+    legalCharges: Number(legalChargesEl.value) || 0,
+    valuationCharges: Number(valuationChargesEl.value) || 0,
+    insurancePremium: Number(insurancePremiumEl.value) || 0,
+    insuranceFinanced: insuranceFinancedEl.value === "financed",
+  };
 }
 
-function collectScenarioData() {
-  const mainData = {
-    loanAmount: Number(loanAmountEl.value) || 0,
-    roiStart: Number(roiStartEl.value) || 0,
-    tenureMonths: parseInt(tenureEl.value) || 0,
-  };
+function describeCharges(charges) {
+  if (charges.items.length === 0) return "None";
+  return `₹${toCurrency(charges.total)} (${charges.items
+    .map(
+      (item) =>
+        `${item.label} ₹${toCurrency(item.amount)}${
+          item.financed ? " financed" : ""
+        }`
+    )
+    .join(", ")})`;
+}
 
-  // Collect disbursements
-  const disbursements = {};
-  document.querySelectorAll(".disbursement-input").forEach((el) => {
-    const idx = el.getAttribute("data-idx");
-    const value = Number(el.value) || 0;
-    if (value > 0) {
-      disbursements[idx] = value;
-    }
-  });
+function describeEffectiveRate(totals) {
+  if (!totals || totals.xirr === null || totals.xirr === undefined) {
+    return "Effective rate unavailable";
+  }
+  return `Effective ${totals.xirr.toFixed(
+    2
+  )}% (XIRR) · APR ${totals.apr.toFixed(2)}%`;
+}
 
-  // Collect prepayments
-  const prepayments = {};
-  document.querySelectorAll(".prepay-input").forEach((el) => {
-    const idx = el.getAttribute("data-idx");
-    const value = Number(el.value) || 0;
-    if (value > 0) {
-      prepayments[idx] = value;
-    }
-  });
+/**
+ * Charges hint and the effective rate shown under the nominal ROI;
+ * `totals` comes from the engine (none while inputs are being edited).
+ */
+function updateChargesFields(totals) {
+  const charges = resolveCharges(
+    collectCharges(),
+    Number(loanAmountEl.value) || 0
+  );
+  let words =
+    charges.items.length === 0
+      ? "No charges entered"
+      : `₹${toCurrency(charges.upfront)} paid upfront${
+          charges.financed > 0
+            ? `, ₹${toCurrency(charges.financed)} financed into the loan`
+            : ""
+        }`;
+  if (!totals) words += ". Click Generate to apply.";
+  chargesWordsEl.textContent = words;
+
+  if (totals) {
+    interestRateWordsEl.textContent = `Nominal ${
+      Number(roiStartEl.value) || 0
+    }% · ${describeEffectiveRate(totals)}`;
+  }
+}
 
-  // Collect ROI changes
-  const roiChanges = {};
-  document.querySelectorAll(".roi-input").forEach((el) => {
-    const idx = el.getAttribute("data-idx");
-    const value = el.value.trim();
-    if (value !== "") {
-      const numValue = Number(value);
-      if (!isNaN(numValue)) {
-        roiChanges[idx] = numValue;
-      }
-    }
-  });
+/**
+ * Fill the charges inputs from a saved scenario (no charges if missing).
+ */
+function applyChargesSettings(charges) {
+  const c = charges || {};
+  processingFeeEl.value = c.processingFee || 0;
+  processingFeeTypeEl.value = c.processingFeeType || FEE_PERCENT;
+  legalChargesEl.value = c.legalCharges || 0;
+  valuationChargesEl.value = c.valuationCharges || 0;
+  insurancePremiumEl.value = c.insurancePremium || 0;
+  insuranceFinancedEl.value = c.insuranceFinanced ? "financed" : "upfront";
+  updateChargesFields();
+}
+
+/////////////////////// Tax Benefits ///////////////////////
+
+function isTaxClaimed() {
+  return taxRegimeEl.value !== "off";
+}
 
+function collectTax() {
   return {
-    ...mainData,
-    disbursements,
-    prepayments,
-    roiChanges,
+    enabled: isTaxClaimed(),
+    regime: isTaxClaimed() ? taxRegimeEl.value : TAX_REGIME_OLD,
+    slabRate: Number(taxSlabRateEl.value) || 0,
+    interestCap: Number(taxInterestCapEl.value) || 0,
+    principalCap: Number(taxPrincipalCapEl.value) || 0,
+    other80C: Number(taxOther80CEl.value) || 0,
   };
 }
 
-function saveScenario() {
-  try {
-    if (!currentScenarioId) {
-      currentScenarioId = generateScenarioId();
-      currentScenarioIdEl.value = currentScenarioId;
-    }
+function describeTax(tax) {
+  return tax.regime === TAX_REGIME_NEW
+    ? `New regime, ${tax.slabRate}% slab (no home-loan deductions)`
+    : `Old regime, ${tax.slabRate}% slab (24(b) cap ₹${toCurrency(
+        tax.interestCap
+      )}, 80C cap ₹${toCurrency(tax.principalCap)}${
+        tax.other80C > 0 ? ` less ₹${toCurrency(tax.other80C)} other 80C` : ""
+      })`;
+}
 
-    // If not already set, fix loanStartDate at first save
-    if (!loanStartDate) {
-      loanStartDate = new Date().toISOString();
-    }
+/**
+ * Tax benefits of the current schedule, or null when not claimed.
+ */
+function currentTaxBenefits() {
+  if (!isTaxClaimed() || currentSchedule.length === 0) return null;
+  return calculateTaxBenefits(currentSchedule, collectTax());
+}
 
-    const scenarioData = {
-      id: currentScenarioId,
-      timestamp: new Date().toISOString(),
-      version: "2.1", // Updated version for chart support
-      loanStartDate: loanStartDate, // NEW: persist start date
-      ...collectScenarioData(),
-    };
+/**
+ * Tax hint; works off the current schedule so it updates as soon as the
+ * tax inputs change.
+ */
+function updateTaxFields() {
+  if (!isTaxClaimed()) {
+    taxWordsEl.textContent = "Choose a tax regime to see the yearly tax saved";
+    return;
+  }
+  const benefits = currentTaxBenefits();
+  if (!benefits) {
+    taxWordsEl.textContent = "Generate a schedule to see the yearly tax saved";
+    return;
+  }
+  const years = benefits.years;
+  taxWordsEl.textContent = `₹${toCurrency(
+    benefits.totalTaxSaved
+  )} tax saved over ${years.length} financial years (${years[0].label} – ${
+    years[years.length - 1].label
+  }); post-tax interest ₹${toCurrency(benefits.postTaxInterest)}`;
+}
+
+/**
+ * Fill the tax inputs from a saved scenario (not claimed if missing).
+ */
+function applyTaxSettings(tax) {
+  const t = tax || {};
+  taxRegimeEl.value = t.enabled ? t.regime || TAX_REGIME_OLD : "off";
+  taxSlabRateEl.value = t.slabRate !== undefined ? t.slabRate : 30;
+  taxInterestCapEl.value =
+    t.interestCap !== undefined ? t.interestCap : SECTION_24B_CAP;
+  taxPrincipalCapEl.value =
+    t.principalCap !== undefined ? t.principalCap : SECTION_80C_CAP;
+  taxOther80CEl.value = t.other80C || 0;
+  updateTaxFields();
+}
+
+/////////////////////// Missed Payments ///////////////////////
+
+/**
+ * Missed-payment hint; `totals` (from simulateLoan) adds what the missed
+ * EMIs cost so far.
+ */
+function updateDelinquencyFields(totals) {
+  if (!totals || totals.missedPayments === 0) {
+    delinquencyWordsEl.textContent =
+      "Enter what was actually paid in the last table column (0 = missed); leave it empty when the EMI was paid in full";
+    return;
+  }
+  delinquencyWordsEl.textContent = `${
+    totals.missedPayments
+  } missed/partial EMIs cost ₹${toCurrency(
+    totals.delinquencyCost
+  )} in penal interest and bounce charges${
+    totals.overdueAtClose > 0.005
+      ? `; ₹${toCurrency(totals.overdueAtClose)} still overdue at loan close`
+      : ""
+  }`;
+}
 
-    const jsonStr = JSON.stringify(scenarioData, null, 2);
-    const blob = new Blob([jsonStr], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
+/**
+ * Fill the penal charge inputs from a saved scenario (defaults if missing).
+ */
+function applyDelinquencySettings(delinquency) {
+  const dq = delinquency || {};
+  penalRateEl.value = dq.penalRate !== undefined ? dq.penalRate : 24;
+  bounceChargeEl.value = dq.bounceCharge !== undefined ? dq.bounceCharge : 500;
+  updateDelinquencyFields();
+}
+
+/////////////////////// Event Notes ///////////////////////
+
+/**
+ * Month column cell: the due date, a note button and the note kept for the
+ * row's calendar month.
+ */
+function monthCellHtml(row) {
+  const note = eventNotes[row.month];
+  return `${row.monthLabel}<button type="button" class="note-btn${
+    note ? " has-note" : ""
+  }" data-month="${row.month}" title="${
+    note ? "Edit the note for this month" : "Add a note for this month"
+  }">✎</button>${
+    note ? `<div class="event-note">${escapeHtml(note)}</div>` : ""
+  }`;
+}
+
+/**
+ * Ask for the note on a calendar month ("YYYY-MM"); an empty note removes it.
+ */
+function editEventNote(month) {
+  const row = currentSchedule.find((r) => r.month === month);
+  if (!row) return;
+  const text = prompt(
+    `Note for ${row.monthLabel} (e.g. "bonus", "rate cut letter"):`,
+    eventNotes[month] || ""
+  );
+  if (text === null) return;
+  if (text.trim()) {
+    eventNotes[month] = text.trim();
+  } else {
+    delete eventNotes[month];
+  }
+  const button = amortTableBody.querySelector(
+    `.note-btn[data-month="${month}"]`
+  );
+  if (button) button.closest("td").innerHTML = monthCellHtml(row);
+  if (currentScenarioId) {
+    currentScenarioIdEl.value = "Modified (not saved)";
+    currentScenarioId = null;
+  }
+  scheduleHistory();
+}
+
+/////////////////////// Moratorium ///////////////////////
+
+function describeMoratorium(range) {
+  const months =
+    range.startMonth === range.endMonth
+      ? formatMonthKey(range.startMonth)
+      : `${formatMonthKey(range.startMonth)} – ${formatMonthKey(
+          range.endMonth
+        )}`;
+  const interest =
+    range.interest === MORATORIUM_PAY_INTEREST
+      ? "interest paid separately"
+      : "interest capitalised";
+  const after =
+    range.after === MORATORIUM_EXTEND_TENURE
+      ? "tenure extends after"
+      : "EMI rises after";
+  return `${months}: ${interest}, ${after}`;
+}
+
+/** Extra interest a moratorium costs, from its last row in the schedule. */
+function moratoriumCostOf(range) {
+  const lastRow = currentSchedule.find((row) => row.month === range.endMonth);
+  return lastRow && lastRow.moratorium ? lastRow.moratoriumCost || 0 : null;
+}
+
+function renderMoratoriums() {
+  moratoriumListEl.innerHTML = "";
 
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${currentScenarioId}.json`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  if (moratoriums.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "rule-empty";
+    empty.textContent = "No moratorium planned.";
+    moratoriumListEl.appendChild(empty);
+    return;
+  }
+
+  moratoriums.forEach((range, idx) => {
+    const li = document.createElement("li");
+    li.className = "rule-item";
+
+    const cost = moratoriumCostOf(range);
+    const text = document.createElement("span");
+    text.textContent =
+      describeMoratorium(range) +
+      (cost !== null ? ` (costs ₹${toCurrency(cost)} extra interest)` : "");
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "btn btn-outline rule-remove";
+    removeBtn.title = "Remove this moratorium";
+    removeBtn.textContent = "✕";
+    removeBtn.addEventListener("click", () => removeMoratorium(idx));
+
+    li.appendChild(text);
+    li.appendChild(removeBtn);
+    moratoriumListEl.appendChild(li);
+  });
+}
+
+function addMoratorium() {
+  const startMonth = moratoriumStartMonthEl.value;
+  const range = {
+    startMonth,
+    endMonth: moratoriumEndMonthEl.value || startMonth,
+    interest: moratoriumInterestEl.value,
+    after: moratoriumAfterEl.value,
+  };
 
+  const parent = addMoratoriumBtnEl.parentElement;
+  if (!range.startMonth) {
+    showMessage("error-message", "Enter the first moratorium month.", parent);
+    return;
+  }
+  if (range.endMonth < range.startMonth) {
     showMessage(
-      "save-success",
-      `Scenario saved successfully! ID: ${currentScenarioId}`,
-      saveScenarioBtnEl.parentElement
+      "error-message",
+      "End month must be after the start month.",
+      parent
     );
-  } catch (error) {
-    console.error("Error saving scenario:", error);
+    return;
+  }
+  const overlaps = moratoriums.some(
+    (other) =>
+      range.startMonth <= other.endMonth && range.endMonth >= other.startMonth
+  );
+  if (overlaps) {
     showMessage(
       "error-message",
-      "Failed to save scenario. Please try again.",
-      saveScenarioBtnEl.parentElement
+      "This range overlaps an existing moratorium.",
+      parent
     );
+    return;
   }
+
+  moratoriums.push(range);
+  moratoriums.sort((a, b) => a.startMonth.localeCompare(b.startMonth));
+  moratoriumStartMonthEl.value = "";
+  moratoriumEndMonthEl.value = "";
+  applyUserChanges();
 }
 
-function handleFileSelection() {
-  const file = loadFileInputEl.files[0];
-  if (!file) {
-    loadScenarioBtnEl.disabled = true;
-    loadedScenarioIdEl.value = "None loaded";
-    loadedScenarioData = null;
-    return;
+function removeMoratorium(idx) {
+  moratoriums.splice(idx, 1);
+  applyUserChanges();
+}
+
+/////////////////////// Floating Rate Benchmark ///////////////////////
+
+function isBenchmarkLinked() {
+  return floatingRateModeEl.value === "benchmark" && benchmarkSeries.length > 0;
+}
+
+function collectFloatingRate() {
+  return {
+    enabled: floatingRateModeEl.value === "benchmark",
+    series: benchmarkSeries.map((entry) => ({ ...entry })),
+    spread: Number(benchmarkSpreadEl.value) || 0,
+    resetFrequency: parseInt(benchmarkResetFrequencyEl.value) || 3,
+    resetLag: parseInt(benchmarkResetLagEl.value) || 0,
+  };
+}
+
+function describeFloatingRate(floatingRate) {
+  const spread = Number(floatingRate.spread) || 0;
+  const lag = parseInt(floatingRate.resetLag) || 0;
+  return `Benchmark ${spread >= 0 ? "+" : "−"} ${Math.abs(
+    spread
+  )}%, reset every ${floatingRate.resetFrequency} month(s)${
+    lag ? `, ${lag} month lag` : ""
+  }`;
+}
+
+/**
+ * Turn "DD/MM/YYYY", "DD-MM-YYYY" or "YYYY-MM-DD" into "YYYY-MM-DD"
+ * (null when unreadable).
+ */
+function toIsoDate(text) {
+  const value = String(text).trim();
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return `${match[1]}-${match[2].padStart(2, "0")}-${match[3].padStart(
+      2,
+      "0"
+    )}`;
   }
+  match = value.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+  if (match) {
+    return `${match[3]}-${match[2].padStart(2, "0")}-${match[1].padStart(
+      2,
+      "0"
+    )}`;
+  }
+  return null;
+}
 
-  if (!file.name.endsWith(".json")) {
-    showMessage(
-      "error-message",
-      "Please select a valid JSON file.",
-      loadFileInputEl.parentElement
-    );
+/**
+ * Parse a benchmark file into [{ date: "YYYY-MM-DD", rate }].
+ * CSV: one "date,rate" per line (a header row is skipped).
+ * JSON: [{ date, rate }, ...] or { "<date>": rate, ... }.
+ */
+function parseBenchmarkFile(text, fileName) {
+  let pairs;
+  if (fileName.toLowerCase().endsWith(".json")) {
+    const data = JSON.parse(text);
+    pairs = Array.isArray(data)
+      ? data.map((entry) => [entry.date, entry.rate])
+      : Object.entries(data);
+  } else {
+    pairs = text
+      .split(/\r?\n/)
+      .filter((line) => line.trim() !== "")
+      .map((line) => line.split(/[,;\t]/));
+  }
+
+  const series = [];
+  pairs.forEach(([date, rate], i) => {
+    const isoDate = toIsoDate(date);
+    const value = Number(String(rate).replace("%", "").trim());
+    if (isoDate && rate !== undefined && !isNaN(value)) {
+      series.push({ date: isoDate, rate: value });
+    } else if (i > 0) {
+      throw new Error(`Unreadable entry on line ${i + 1}: ${date}, ${rate}`);
+    }
+  });
+  if (series.length === 0) {
+    throw new Error("No benchmark rates found in the file");
+  }
+  return series.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Benchmark hint; `totals` (from simulateLoan) adds how many resets moved
+ * the rate.
+ */
+function updateFloatingRateFields(totals) {
+  if (benchmarkSeries.length === 0) {
+    benchmarkWordsEl.textContent = "No benchmark rates loaded";
     return;
   }
+  const first = benchmarkSeries[0];
+  const last = benchmarkSeries[benchmarkSeries.length - 1];
+  let words = `${benchmarkSeries.length} rates from ${formatDate(
+    first.date
+  )} (${first.rate}%) to ${formatDate(last.date)} (${last.rate}%)`;
+  if (floatingRateModeEl.value !== "benchmark") {
+    words += "; choose Benchmark + spread to use them";
+  } else if (totals) {
+    words += `; ${totals.benchmarkResets} rate resets in the schedule`;
+  }
+  benchmarkWordsEl.textContent = words;
+}
 
+function handleBenchmarkFile() {
+  const file = benchmarkFileInputEl.files[0];
+  if (!file) return;
+
+  const parent = benchmarkFileInputEl.closest(".form-group");
   const reader = new FileReader();
   reader.onload = function (e) {
     try {
-      const jsonData = JSON.parse(e.target.result);
-
-      if (
-        !jsonData.id ||
-        !jsonData.loanAmount ||
-        !jsonData.roiStart ||
-        !jsonData.tenureMonths
-      ) {
-        throw new Error("Invalid loan scenario file format");
-      }
-
-      loadedScenarioData = jsonData;
-      loadedScenarioIdEl.value = jsonData.id;
-      loadScenarioBtnEl.disabled = false;
-
+      benchmarkSeries = parseBenchmarkFile(e.target.result, file.name);
+      floatingRateModeEl.value = "benchmark";
       showMessage(
         "load-success",
-        `File loaded successfully! Scenario ID: ${jsonData.id}`,
-        loadFileInputEl.parentElement
+        `Loaded ${benchmarkSeries.length} benchmark rates.`,
+        parent
       );
+      applyUserChanges();
     } catch (error) {
-      console.error("Error parsing file:", error);
+      console.error("Error parsing benchmark file:", error);
       showMessage(
         "error-message",
-        "Invalid file format. Please select a valid loan scenario file.",
-        loadFileInputEl.parentElement
+        `Invalid benchmark file: ${error.message}`,
+        parent
       );
-      loadScenarioBtnEl.disabled = true;
-      loadedScenarioIdEl.value = "Invalid file";
-      loadedScenarioData = null;
     }
   };
-
   reader.readAsText(file);
 }
 
-function loadScenario() {
-  if (!loadedScenarioData) {
-    showMessage(
-      "error-message",
-      "No valid scenario data to load.",
-      loadScenarioBtnEl.parentElement
-    );
-    return;
-  }
-
-  try {
-    loanAmountEl.value = loadedScenarioData.loanAmount;
-    roiStartEl.value = loadedScenarioData.roiStart;
-    tenureEl.value = loadedScenarioData.tenureMonths;
+/**
+ * Fill the floating rate inputs from a saved scenario (manual ROI changes
+ * only if missing).
+ */
+function applyFloatingRateSettings(floatingRate) {
+  const fr = floatingRate || {};
+  floatingRateModeEl.value = fr.enabled ? "benchmark" : "fixed";
+  benchmarkSpreadEl.value = fr.spread !== undefined ? fr.spread : 2.75;
+  benchmarkResetFrequencyEl.value = String(fr.resetFrequency || 3);
+  benchmarkResetLagEl.value = fr.resetLag || 0;
+  benchmarkSeries = Array.isArray(fr.series)
+    ? fr.series.map((entry) => ({ ...entry }))
+    : [];
+  benchmarkFileInputEl.value = "";
+  updateFloatingRateFields();
+}
 
-    updateLoanAmountWords();
-    updateTenureWords();
+/////////////////////// Event Import ///////////////////////
+
+// Schedule columns an events file can fill; `headers` guess the mapping,
+// best match first
+const IMPORT_FIELDS = [
+  {
+    key: "disbursement",
+    label: "Disbursement",
+    inputClass: "disbursement-input",
+    headers: [/disburs|tranche|release/i],
+  },
+  {
+    key: "prepayment",
+    label: "Prepayment",
+    inputClass: "prepay-input",
+    headers: [/prepay|part.?pay|lump/i],
+  },
+  {
+    key: "roi",
+    label: "ROI",
+    inputClass: "roi-input",
+    headers: [/roi/i, /rate/i],
+  },
+];
+const IMPORT_MONTH_HEADERS = [/month|date|period|due/i, /^s(r|l)?\.?\s*no/i];
+const IMPORT_MONTH_NAMES = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
 
-    currentScenarioId = loadedScenarioData.id;
-    currentScenarioIdEl.value = currentScenarioId;
+/**
+ * Split CSV / TSV text into rows of trimmed cells. The delimiter (tab,
+ * comma or semicolon) is the one most used on the first line; quoted cells
+ * may hold delimiters and "" for a quote.
+ */
+function parseDelimitedText(text) {
+  const lines = text.split(/\r?\n/).filter((line) => line.trim() !== "");
+  if (lines.length === 0) return [];
+  const delimiter = ["\t", ",", ";"]
+    .map((d) => [d, lines[0].split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+  return lines.map((line) => {
+    const cells = [];
+    let cell = "";
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          cell += ch;
+        }
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === delimiter) {
+        cells.push(cell.trim());
+        cell = "";
+      } else {
+        cell += ch;
+      }
+    }
+    cells.push(cell.trim());
+    return cells;
+  });
+}
 
-    // Restore loan start date if present in JSON
-    loanStartDate = loadedScenarioData.loanStartDate
-      ? new Date(loadedScenarioData.loanStartDate)
-      : new Date();
+/**
+ * Calendar month ("YYYY-MM") of an events file cell: a date (see
+ * toIsoDate()), "YYYY-MM", "MM/YYYY", "Mar 2025", "Mar-25", "10 Mar 2025"
+ * or, with `srNo`, a schedule Sr. No. Null when unreadable.
+ */
+function importMonthKey(text, srNo) {
+  const value = String(text).trim();
+  if (srNo && /^\d{1,4}$/.test(value)) {
+    const row = currentSchedule[Number(value) - 1];
+    return row ? row.month : null;
+  }
+  const isoDate = toIsoDate(value);
+  if (isoDate) return isoDate.slice(0, 7);
+  let match = value.match(/^(\d{4})[-/](\d{1,2})$/);
+  if (match) return monthKeyOf(Number(match[1]), Number(match[2]));
+  match = value.match(/^(\d{1,2})[-/](\d{4})$/);
+  if (match) return monthKeyOf(Number(match[2]), Number(match[1]));
+  match = value.match(
+    /^(?:\d{1,2}[\s-])?([a-z]{3})[a-z]*\.?[\s\-']*(\d{2}|\d{4})$/i
+  );
+  if (match) {
+    const month = IMPORT_MONTH_NAMES.indexOf(match[1].toLowerCase()) + 1;
+    const year = Number(match[2]) + (match[2].length === 2 ? 2000 : 0);
+    return month ? monthKeyOf(year, month) : null;
+  }
+  return null;
+}
 
-    generateBaseline();
+function monthKeyOf(year, month) {
+  if (month < 1 || month > 12) return null;
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
 
-    setTimeout(() => {
-      // Set disbursements
-      if (loadedScenarioData.disbursements) {
-        Object.entries(loadedScenarioData.disbursements).forEach(
-          ([idx, value]) => {
-            const input = document.querySelector(
-              `.disbursement-input[data-idx="${idx}"]`
-            );
-            if (input) {
-              input.value = value;
-            }
-          }
-        );
-      }
+/**
+ * Amount or rate in an events file cell: ₹, commas, % and spaces are
+ * ignored. Null for an empty cell, NaN when unreadable.
+ */
+function importNumber(text) {
+  const value = String(text).replace(/[₹,%\s]/g, "");
+  if (value === "" || value === "-") return null;
+  return /^-?\d*\.?\d+$/.test(value) ? Number(value) : NaN;
+}
 
-      // Set prepayments
-      if (loadedScenarioData.prepayments) {
-        Object.entries(loadedScenarioData.prepayments).forEach(
-          ([idx, value]) => {
-            const input = document.querySelector(
-              `.prepay-input[data-idx="${idx}"]`
-            );
-            if (input) {
-              input.value = value;
-            }
-          }
-        );
-      }
+/**
+ * What a table cell already holds for an imported field, or null when it
+ * is empty. Amount cells show an empty entry as 0; a 0% rate is a value.
+ */
+function importExistingValue(field, input) {
+  if (!input || input.value.trim() === "") return null;
+  const value = Number(input.value);
+  return field.key !== "roi" && !value ? null : value;
+}
 
-      // Set ROI changes
-      if (loadedScenarioData.roiChanges) {
-        Object.entries(loadedScenarioData.roiChanges).forEach(
-          ([idx, value]) => {
-            const input = document.querySelector(
-              `.roi-input[data-idx="${idx}"]`
-            );
-            if (input) {
-              input.value = value;
-            }
-          }
-        );
+/**
+ * Column index for the month and each IMPORT_FIELDS key (-1 = not
+ * imported). Header names are matched; a file without a header is read as
+ * month, disbursement, prepayment, ROI.
+ */
+function guessImportMapping(headers) {
+  if (!headers) {
+    return { month: 0, disbursement: 1, prepayment: 2, roi: 3 };
+  }
+  const used = new Set();
+  const find = (patterns) => {
+    for (const pattern of patterns) {
+      const idx = headers.findIndex((h, i) => !used.has(i) && pattern.test(h));
+      if (idx >= 0) {
+        used.add(idx);
+        return idx;
       }
+    }
+    return -1;
+  };
+  const mapping = { month: find(IMPORT_MONTH_HEADERS) };
+  IMPORT_FIELDS.forEach((field) => {
+    mapping[field.key] = find(field.headers);
+  });
+  return mapping;
+}
 
+function readImportMapping() {
+  const mapping = {};
+  Object.entries(importColumnEls).forEach(([key, el]) => {
+    mapping[key] = el.value === "" ? -1 : Number(el.value);
+  });
+  return mapping;
+}
+
+/**
+ * What importing each file row would do: its schedule row, the values it
+ * sets and any conflicts with values already in the table (or set by an
+ * earlier line of the file). Rows that cannot be imported carry `problem`.
+ */
+function planEventImport(rows, mapping, headers) {
+  // Plain numbers are Sr. Nos. only in a Sr. No. column or a file without
+  // a header (not, say, the month counts of a yearly summary)
+  const srNo =
+    !headers || IMPORT_MONTH_HEADERS[1].test(headers[mapping.month] || "");
+  const seen = {};
+  return rows.map(({ line, cells }) => {
+    const entry = { line, cells, changes: [], conflicts: [], problem: null };
+    const monthText = mapping.month >= 0 ? cells[mapping.month] || "" : "";
+    entry.month = importMonthKey(monthText, srNo);
+    if (!entry.month) {
+      entry.problem = `Unreadable month "${monthText}"`;
+      return entry;
+    }
+    entry.rowIdx = currentSchedule.findIndex((r) => r.month === entry.month);
+    if (entry.rowIdx < 0) {
+      entry.problem = "Outside the schedule";
+      return entry;
+    }
+    IMPORT_FIELDS.forEach((field) => {
+      if (mapping[field.key] < 0) return;
+      const value = importNumber(cells[mapping[field.key]] || "");
+      if (value === null) return;
+      if (isNaN(value) || value < 0) {
+        entry.problem = `Unreadable ${field.label.toLowerCase()} "${
+          cells[mapping[field.key]]
+        }"`;
+        return;
+      }
+      const input = document.querySelector(
+        `.${field.inputClass}[data-month="${entry.month}"]`
+      );
+      const existing = importExistingValue(field, input);
+      const key = `${entry.month}:${field.key}`;
+      if (seen[key]) {
+        entry.conflicts.push(`${field.label} also on line ${seen[key]}`);
+      } else if (existing !== null && existing !== value) {
+        entry.conflicts.push(
+          `${field.label} ${
+            field.key === "roi" ? `${existing}%` : `₹${toCurrency(existing)}`
+          } in the table`
+        );
+      }
+      seen[key] = line;
+      // An empty amount cell already means 0
+      const current = existing === null && field.key !== "roi" ? 0 : existing;
+      if (current !== value) entry.changes.push({ field, value });
+    });
+    if (!entry.problem && entry.changes.length === 0) {
+      entry.problem = "Nothing to change";
+    }
+    return entry;
+  });
+}
+
+/**
+ * Preview of the pending import: one line per file row with the schedule
+ * row it affects and its status. Import stays disabled until at least one
+ * row can be applied.
+ */
+function renderImportPreview() {
+  if (!importTable) return;
+  const plan = planEventImport(
+    importTable.rows,
+    readImportMapping(),
+    importTable.headers
+  );
+  importTable.plan = plan;
+  importPreviewBodyEl.innerHTML = "";
+  plan.forEach((entry) => {
+    const tr = document.createElement("tr");
+    let status = "New";
+    if (entry.problem) {
+      tr.className = "import-skipped";
+      status = entry.problem;
+    } else if (entry.conflicts.length > 0) {
+      tr.className = "import-conflict";
+      status = `Conflict: ${entry.conflicts.join("; ")}`;
+    }
+    const cells = [
+      entry.line,
+      entry.rowIdx >= 0
+        ? `${currentSchedule[entry.rowIdx].monthIndex} · ${formatMonthKey(
+            entry.month
+          )}`
+        : entry.month
+        ? formatMonthKey(entry.month)
+        : "—",
+      ...IMPORT_FIELDS.map((field) => {
+        const change = entry.changes.find((c) => c.field === field);
+        return change ? change.value : "";
+      }),
+      status,
+    ];
+    cells.forEach((text) => {
+      const td = document.createElement("td");
+      td.textContent = text;
+      tr.appendChild(td);
+    });
+    importPreviewBodyEl.appendChild(tr);
+  });
+
+  const ready = plan.filter((e) => !e.problem);
+  const conflicts = ready.filter((e) => e.conflicts.length > 0).length;
+  const skipped = plan.length - ready.length;
+  importSummaryEl.textContent = `${plan.length} rows: ${
+    ready.length - conflicts
+  } ready, ${conflicts} with conflicts, ${skipped} skipped`;
+  importApplyBtnEl.disabled = ready.length === 0;
+}
+
+/**
+ * Read an events file, guess its column mapping and show the preview.
+ */
+function handleImportFile() {
+  const file = importFileInputEl.files[0];
+  if (!file) return;
+  const parent = importFileInputEl.closest(".form-group");
+  if (!currentSchedule || currentSchedule.length === 0) {
+    showMessage("error-message", "Generate a schedule first.", parent);
+    importFileInputEl.value = "";
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = function (e) {
+    const rows = parseDelimitedText(e.target.result);
+    // A first row without any month in it is the header
+    const hasHeader =
+      rows.length > 0 && !rows[0].some((cell) => importMonthKey(cell, true));
+    const headers = hasHeader ? rows[0] : null;
+    const body = rows
+      .map((cells, i) => ({ line: i + 1, cells }))
+      .slice(hasHeader ? 1 : 0);
+    if (body.length === 0) {
+      showMessage("error-message", "No rows found in the file.", parent);
+      return;
+    }
+
+    const columns = Math.max(...rows.map((r) => r.length));
+    const mapping = guessImportMapping(headers);
+    Object.entries(importColumnEls).forEach(([key, el]) => {
+      el.innerHTML = '<option value="">Not imported</option>';
+      for (let i = 0; i < columns; i++) {
+        const option = document.createElement("option");
+        option.value = i;
+        option.textContent = headers ? headers[i] : `Column ${i + 1}`;
+        el.appendChild(option);
+      }
+      el.value =
+        mapping[key] >= 0 && mapping[key] < columns ? mapping[key] : "";
+    });
+    importTable = { fileName: file.name, headers, rows: body };
+    importMappingEl.hidden = false;
+    renderImportPreview();
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Write the previewed rows into the table (conflicting values replaced or
+ * kept as chosen), then recalculate once.
+ */
+function applyEventImport() {
+  if (!importTable || !importTable.plan) return;
+  const keepExisting = importConflictModeEl.value === "keep";
+  let applied = 0;
+  importTable.plan.forEach((entry) => {
+    if (entry.problem) return;
+    entry.changes.forEach(({ field, value }) => {
+      const input = document.querySelector(
+        `.${field.inputClass}[data-month="${entry.month}"]`
+      );
+      if (!input) return;
+      if (keepExisting && importExistingValue(field, input) !== null) return;
+      input.value = value;
+      applied++;
+    });
+  });
+  const fileName = importTable.fileName;
+  cancelEventImport();
+  historyLabel = `Imported ${applied} values from ${fileName}`;
+  applyUserChanges();
+  showMessage(
+    "load-success",
+    `Imported ${applied} values from ${fileName}.`,
+    importFileInputEl.closest(".form-group")
+  );
+}
+
+function cancelEventImport() {
+  importTable = null;
+  importFileInputEl.value = "";
+  importMappingEl.hidden = true;
+  importPreviewBodyEl.innerHTML = "";
+  importSummaryEl.textContent = "";
+}
+
+/////////////////////// Grid Editing ///////////////////////
+
+// The schedule's disbursement, prepayment and ROI inputs, left to right,
+// are edited as one grid; IMPORT_FIELDS lists them in that order
+const GRID_COLUMNS = IMPORT_FIELDS;
+
+/**
+ * Grid cell ({ row: schedule index, col: GRID_COLUMNS index }) of a table
+ * input, or null when it is not one of the grid inputs.
+ */
+function gridCellOf(input) {
+  if (!input || !input.classList) return null;
+  const col = GRID_COLUMNS.findIndex((f) =>
+    input.classList.contains(f.inputClass)
+  );
+  if (col < 0 || !amortTableBody.contains(input)) return null;
+  return { row: Number(input.dataset.idx), col };
+}
+
+function gridInput(cell) {
+  return amortTableBody.querySelector(
+    `.${GRID_COLUMNS[cell.col].inputClass}[data-idx="${cell.row}"]`
+  );
+}
+
+/**
+ * Schedule indexes of the rows currently shown, top to bottom (rows of a
+ * collapsed year are skipped, as Excel skips filtered rows).
+ */
+function gridRows() {
+  return Array.from(
+    amortTableBody.querySelectorAll(
+      `tr:not(.year-collapsed) .${GRID_COLUMNS[0].inputClass}`
+    ),
+    (input) => Number(input.dataset.idx)
+  );
+}
+
+/**
+ * Visible rows and columns spanned by the selection, top-left first.
+ */
+function gridRange() {
+  if (!gridSelection) return { rows: [], cols: [] };
+  const { anchor, focus } = gridSelection;
+  const top = Math.min(anchor.row, focus.row);
+  const bottom = Math.max(anchor.row, focus.row);
+  const cols = [];
+  for (
+    let c = Math.min(anchor.col, focus.col);
+    c <= Math.max(anchor.col, focus.col);
+    c++
+  ) {
+    cols.push(c);
+  }
+  return { rows: gridRows().filter((r) => r >= top && r <= bottom), cols };
+}
+
+function gridRangeInputs() {
+  const { rows, cols } = gridRange();
+  return rows.map((row) =>
+    cols.map((col) => gridInput({ row, col })).filter(Boolean)
+  );
+}
+
+/**
+ * Highlight the selected cells; a single cell only shows its focus ring.
+ */
+function renderGridSelection() {
+  amortTableBody
+    .querySelectorAll(".grid-selected")
+    .forEach((input) => input.classList.remove("grid-selected"));
+  const inputs = gridRangeInputs().flat();
+  if (inputs.length < 2) return;
+  inputs.forEach((input) => input.classList.add("grid-selected"));
+}
+
+/**
+ * Select a cell (or extend the selection to it) and move focus there.
+ */
+function selectGridCell(cell, extend) {
+  const input = gridInput(cell);
+  if (!input) return;
+  gridSelection = {
+    anchor: extend && gridSelection ? gridSelection.anchor : cell,
+    focus: cell,
+  };
+  renderGridSelection();
+  input.focus();
+  input.select();
+}
+
+/**
+ * Arrow-key / Enter navigation over the visible rows.
+ */
+function moveGridFocus(rowStep, colStep, extend) {
+  if (!gridSelection) return;
+  const rows = gridRows();
+  const { row, col } = gridSelection.focus;
+  const position = Math.min(
+    Math.max(rows.indexOf(row) + rowStep, 0),
+    rows.length - 1
+  );
+  selectGridCell(
+    {
+      row: rows[position],
+      col: Math.min(Math.max(col + colStep, 0), GRID_COLUMNS.length - 1),
+    },
+    extend
+  );
+}
+
+/**
+ * Recalculate once after a bulk edit, recorded as one history entry. The
+ * selection and focus are put back by renderSchedule().
+ */
+function applyGridEdit(label) {
+  clearTimeout(window.autoApplyTimeout);
+  historyLabel = label;
+  applyUserChanges();
+}
+
+/**
+ * Re-apply the selection to a freshly rendered table. Focus is returned
+ * only when a grid input had it before the re-render; true when it was.
+ */
+function restoreGridSelection(hadFocus) {
+  if (!gridSelection) return false;
+  const input = gridInput(gridSelection.focus);
+  if (!input) {
+    gridSelection = null;
+    return false;
+  }
+  renderGridSelection();
+  if (hadFocus) input.focus({ preventScroll: true });
+  return hadFocus;
+}
+
+function gridValueLabel(count) {
+  return `${count} ${count === 1 ? "cell" : "cells"}`;
+}
+
+/**
+ * Ctrl+D: copy the top cell of each selected column into the rows below.
+ */
+function fillGridDown() {
+  const inputs = gridRangeInputs();
+  if (inputs.length < 2) return;
+  let filled = 0;
+  inputs.slice(1).forEach((rowInputs) => {
+    rowInputs.forEach((input, i) => {
+      if (input.value === inputs[0][i].value) return;
+      input.value = inputs[0][i].value;
+      filled++;
+    });
+  });
+  if (filled) applyGridEdit(`Filled down ${gridValueLabel(filled)}`);
+}
+
+/**
+ * Delete: empty every selected cell (0 for amounts, blank for ROI).
+ */
+function clearGridRange() {
+  let cleared = 0;
+  gridRangeInputs()
+    .flat()
+    .forEach((input) => {
+      const empty = input.classList.contains("roi-input") ? "" : "0";
+      if (input.value === empty) return;
+      input.value = empty;
+      cleared++;
+    });
+  if (cleared) applyGridEdit(`Cleared ${gridValueLabel(cleared)}`);
+}
+
+/**
+ * Selected cells as tab-separated text, the format Excel pastes.
+ */
+function gridRangeText() {
+  return gridRangeInputs()
+    .map((rowInputs) => rowInputs.map((input) => input.value).join("\t"))
+    .join("\n");
+}
+
+/**
+ * Paste a block copied from a spreadsheet, starting at the selection's top
+ * left cell. A single value pasted over a selection fills all of it. Values
+ * are read like an events file (₹, commas and % ignored); unreadable or
+ * negative ones leave their cell unchanged.
+ */
+function pasteGridBlock(text) {
+  const block = text
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n$/, "")
+    .split("\n")
+    .map((line) => line.split("\t"));
+  const { rows, cols } = gridRange();
+  if (rows.length === 0) return;
+  const fillRange = block.length === 1 && block[0].length === 1;
+  const allRows = gridRows();
+  const startRow = allRows.indexOf(rows[0]);
+  const height = fillRange ? rows.length : block.length;
+  const width = fillRange ? cols.length : block[0].length;
+  let pasted = 0;
+  let skipped = 0;
+  let last = null;
+  for (let r = 0; r < height && startRow + r < allRows.length; r++) {
+    for (let c = 0; c < width && cols[0] + c < GRID_COLUMNS.length; c++) {
+      const cell = { row: allRows[startRow + r], col: cols[0] + c };
+      const input = gridInput(cell);
+      const source = fillRange ? block[0][0] : (block[r] || [])[c];
+      if (!input || source === undefined) continue;
+      const value = importNumber(source);
+      if (value !== null && (isNaN(value) || value < 0)) {
+        skipped++;
+        continue;
+      }
+      const empty = input.classList.contains("roi-input") ? "" : "0";
+      input.value = value === null ? empty : value;
+      pasted++;
+      last = cell;
+    }
+  }
+  if (!pasted) return;
+  gridSelection = { anchor: last, focus: { row: rows[0], col: cols[0] } };
+  applyGridEdit(`Pasted ${gridValueLabel(pasted)}`);
+  if (skipped) {
+    showInputWarning(
+      gridInput(gridSelection.focus),
+      `${gridValueLabel(skipped)} could not be read and ${
+        skipped === 1 ? "was" : "were"
+      } left unchanged.`
+    );
+  }
+}
+
+/////////////////////// Recurring Prepayment Rules ///////////////////////
+
+const FREQUENCY_LABELS = {
+  monthly: "every month",
+  quarterly: "every quarter",
+  "half-yearly": "every 6 months",
+  yearly: "every year",
+};
+
+function describeRecurringRule(rule) {
+  const from = rule.startMonth
+    ? formatMonthKey(rule.startMonth)
+    : "the first EMI";
+  const range = rule.endMonth
+    ? `${from} – ${formatMonthKey(rule.endMonth)}`
+    : `${from} onwards`;
+  const stepUp =
+    Number(rule.stepUpPercent) > 0 ? `, +${rule.stepUpPercent}% a year` : "";
+  const reduces = rule.mode === PREPAY_REDUCE_EMI ? "EMI" : "tenure";
+  return `₹${toCurrency(rule.amount)} ${
+    FREQUENCY_LABELS[rule.frequency] || rule.frequency
+  }, ${range}${stepUp} (reduces ${reduces})`;
+}
+
+function renderRecurringRules() {
+  recurringRuleListEl.innerHTML = "";
+
+  if (recurringPrepayments.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "rule-empty";
+    empty.textContent = "No recurring prepayments yet.";
+    recurringRuleListEl.appendChild(empty);
+    return;
+  }
+
+  recurringPrepayments.forEach((rule, idx) => {
+    const li = document.createElement("li");
+    li.className = "rule-item";
+
+    const text = document.createElement("span");
+    text.textContent = describeRecurringRule(rule);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "btn btn-outline rule-remove";
+    removeBtn.title = "Remove this rule";
+    removeBtn.textContent = "✕";
+    removeBtn.addEventListener("click", () => removeRecurringRule(idx));
+
+    li.appendChild(text);
+    li.appendChild(removeBtn);
+    recurringRuleListEl.appendChild(li);
+  });
+}
+
+function addRecurringRule() {
+  const rule = {
+    amount: Number(recurringAmountEl.value) || 0,
+    frequency: recurringFrequencyEl.value,
+    startMonth: recurringStartMonthEl.value || null,
+    endMonth: recurringEndMonthEl.value || null,
+    stepUpPercent: Number(recurringStepUpEl.value) || 0,
+    mode: recurringModeEl.value,
+  };
+
+  const parent = addRecurringBtnEl.parentElement;
+  if (rule.amount <= 0) {
+    showMessage("error-message", "Enter a prepayment amount.", parent);
+    return;
+  }
+  if (rule.endMonth && rule.startMonth && rule.endMonth < rule.startMonth) {
+    showMessage(
+      "error-message",
+      "End month must be after the start month.",
+      parent
+    );
+    return;
+  }
+  if (rule.stepUpPercent < 0) {
+    showMessage("error-message", "Step-up cannot be negative.", parent);
+    return;
+  }
+
+  recurringPrepayments.push(rule);
+  recurringAmountEl.value = "";
+  renderRecurringRules();
+  applyUserChanges();
+}
+
+function removeRecurringRule(idx) {
+  recurringPrepayments.splice(idx, 1);
+  renderRecurringRules();
+  applyUserChanges();
+}
+
+/////////////////////// Save/Load Functions ///////////////////////
+
+function generateScenarioId() {
+  const now = new Date();
+  const dateStr = now.toISOString().slice(0, 10).replace(/-/g, "");
+  const timeStr = now.getTime().toString().slice(-6);
+  return `LOAN_${dateStr}_${timeStr}`;
+}
+
+function collectRateResetPolicy() {
+  return {
+    mode: rateResetPolicyEl.value,
+    capType: tenureCapTypeEl.value,
+    extensionYears: Number(tenureCapExtensionYearsEl.value) || 0,
+    borrowerAge: Number(borrowerAgeEl.value) || 0,
+    maxAge: Number(tenureCapMaxAgeEl.value) || 0,
+  };
+}
+
+function collectScenarioData() {
+  const mainData = {
+    loanAmount: Number(loanAmountEl.value) || 0,
+    roiStart: Number(roiStartEl.value) || 0,
+    tenureMonths: parseInt(tenureEl.value) || 0,
+    loanStartDate: loanStartDateValue().toISOString(),
+    repaymentStructure: {
+      type: repaymentStructureEl.value,
+      stepPercent: Number(stepPercentEl.value) || 0,
+    },
+    preEmi: {
+      enabled: preEmiModeEl.value === "pre-emi",
+      initialDisbursement: Number(preEmiInitialDisbursementEl.value) || 0,
+      emiStartMonth: preEmiStartMonthEl.value || null,
+    },
+    dayCount: {
+      convention: dayCountConventionEl.value,
+      emiDueDay: parseInt(emiDueDayEl.value) || null,
+    },
+    rateResetPolicy: collectRateResetPolicy(),
+    charges: collectCharges(),
+    tax: collectTax(),
+    floatingRate: collectFloatingRate(),
+    delinquency: {
+      penalRate: Number(penalRateEl.value) || 0,
+      bounceCharge: Number(bounceChargeEl.value) || 0,
+    },
+  };
+
+  // Collect disbursements
+  const disbursements = {};
+  document.querySelectorAll(".disbursement-input").forEach((el) => {
+    const month = el.getAttribute("data-month");
+    const value = Number(el.value) || 0;
+    if (value > 0) {
+      disbursements[month] = value;
+    }
+  });
+
+  // Collect prepayments
+  const prepayments = {};
+  document.querySelectorAll(".prepay-input").forEach((el) => {
+    const month = el.getAttribute("data-month");
+    const value = Number(el.value) || 0;
+    if (value > 0) {
+      prepayments[month] = value;
+    }
+  });
+
+  // Collect what each prepayment reduces (EMI or tenure)
+  const prepaymentModes = {};
+  document.querySelectorAll(".prepay-mode-input").forEach((el) => {
+    const month = el.getAttribute("data-month");
+    if (prepayments[month] !== undefined) {
+      prepaymentModes[month] = el.value;
+    }
+  });
+
+  // Collect rows marked as actually paid, with their date and amount
+  const actualPayments = {};
+  document.querySelectorAll(".paid-input").forEach((el) => {
+    if (!el.checked) return;
+    const month = el.getAttribute("data-month");
+    const cell = el.closest("td");
+    const row = currentSchedule[el.getAttribute("data-idx")];
+    const amount = cell.querySelector(".emi-paid-input").value.trim();
+    // Ticked with no amount: the EMI due was paid
+    const due = row ? Math.round(row.emiDue * 100) / 100 : "";
+    actualPayments[month] = {
+      date:
+        cell.querySelector(".paid-date-input").value ||
+        (row ? toDateInputValue(row.dueDate) : ""),
+      amount: amount === "" ? due : Number(amount) || 0,
+    };
+  });
+
+  // Collect what was actually paid on rows with a missed / partial EMI
+  const emiPayments = {};
+  document.querySelectorAll(".emi-paid-input").forEach((el) => {
+    const month = el.getAttribute("data-month");
+    if (actualPayments[month]) return;
+    const value = el.value.trim();
+    if (value !== "" && !isNaN(Number(value))) {
+      emiPayments[month] = Number(value);
+    }
+  });
+
+  // Collect ROI changes
+  const roiChanges = {};
+  document.querySelectorAll(".roi-input").forEach((el) => {
+    const month = el.getAttribute("data-month");
+    const value = el.value.trim();
+    if (value !== "") {
+      const numValue = Number(value);
+      if (!isNaN(numValue)) {
+        roiChanges[month] = numValue;
+      }
+    }
+  });
+
+  // Collect per-change rate reset overrides ("" = use the global policy)
+  const roiChangePolicies = {};
+  document.querySelectorAll(".roi-policy-input").forEach((el) => {
+    const month = el.getAttribute("data-month");
+    const row = currentSchedule[el.getAttribute("data-idx")];
+    const isDerived = row && row.roiDerived;
+    if ((roiChanges[month] !== undefined || isDerived) && el.value !== "") {
+      roiChangePolicies[month] = el.value;
+    }
+  });
+
+  return {
+    ...mainData,
+    disbursements,
+    prepayments,
+    prepaymentModes,
+    recurringPrepayments: recurringPrepayments.map((rule) => ({ ...rule })),
+    moratoriums: moratoriums.map((range) => ({ ...range })),
+    emiPayments,
+    actualPayments,
+    roiChanges,
+    roiChangePolicies,
+    notes: { ...eventNotes },
+  };
+}
+
+/**
+ * The scenario file object for what is on screen, giving it an ID (and
+ * fixing its start date) on first save.
+ */
+function currentScenarioFile() {
+  if (!currentScenarioId) {
+    currentScenarioId = generateScenarioId();
+    currentScenarioIdEl.value = currentScenarioId;
+  }
+
+  return {
+    id: currentScenarioId,
+    timestamp: new Date().toISOString(),
+    version: SCENARIO_VERSION,
+    ...collectScenarioData(),
+  };
+}
+
+function downloadScenarioFile(scenarioData) {
+  const jsonStr = JSON.stringify(scenarioData, null, 2);
+  const blob = new Blob([jsonStr], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${scenarioData.id}.json`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function saveScenario() {
+  try {
+    downloadScenarioFile(currentScenarioFile());
+
+    showMessage(
+      "save-success",
+      `Scenario saved successfully! ID: ${currentScenarioId}`,
+      saveScenarioBtnEl.parentElement
+    );
+  } catch (error) {
+    console.error("Error saving scenario:", error);
+    showMessage(
+      "error-message",
+      "Failed to save scenario. Please try again.",
+      saveScenarioBtnEl.parentElement
+    );
+  }
+}
+
+/**
+ * Copy a link that opens the current scenario (packed into the URL
+ * fragment, see share-link.js); like saving, it gives the scenario an ID.
+ */
+async function copyScenarioLink() {
+  try {
+    const url =
+      location.href.split("#")[0] +
+      (await encodeScenarioLink(currentScenarioFile()));
+    const tooLong =
+      url.length > SHARE_LINK_SAFE_LENGTH
+        ? "; it is long, so some mail and chat apps may cut it off (save a file instead)"
+        : "";
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      await navigator.clipboard.writeText(url);
+      showMessage(
+        tooLong ? "error-message" : "save-success",
+        `Link to ${currentScenarioId} copied${tooLong}`,
+        copyLinkBtnEl.parentElement
+      );
+    } else {
+      prompt(`Copy this link to ${currentScenarioId}${tooLong}:`, url);
+    }
+  } catch (error) {
+    console.error("Error creating scenario link:", error);
+    showMessage(
+      "error-message",
+      "Failed to create a link. Save the scenario to a file instead.",
+      copyLinkBtnEl.parentElement
+    );
+  }
+}
+
+/**
+ * Open the scenario in the page's URL fragment (a copied link) the same way
+ * a loaded file is opened.
+ */
+async function openScenarioLink() {
+  let data;
+  try {
+    data = await decodeScenarioLink(location.hash);
+  } catch (error) {
+    console.error("Error reading scenario link:", error);
+    showMessage(
+      "error-message",
+      "This scenario link is damaged or incomplete.",
+      loadScenarioBtnEl.parentElement
+    );
+    return;
+  }
+  if (!data) return;
+
+  // Drop the fragment so a reload does not throw away later edits
+  location.replace("#");
+
+  const result = prepareScenarioFile(data);
+  renderLoadReport(result.report, result.errors);
+  if (!result.scenario) {
+    showMessage(
+      "error-message",
+      "This link does not contain a valid loan scenario.",
+      loadScenarioBtnEl.parentElement
+    );
+    return;
+  }
+  loadedScenarioData = result.scenario;
+  loadedScenarioIdEl.value = result.scenario.id;
+  loadScenario();
+}
+
+function handleFileSelection() {
+  const file = loadFileInputEl.files[0];
+  renderLoadReport([]);
+  if (!file) {
+    loadScenarioBtnEl.disabled = true;
+    loadedScenarioIdEl.value = "None loaded";
+    loadedScenarioData = null;
+    return;
+  }
+
+  if (!file.name.endsWith(".json")) {
+    showMessage(
+      "error-message",
+      "Please select a valid JSON file.",
+      loadFileInputEl.parentElement
+    );
+    return;
+  }
+
+  const reader = new FileReader();
+  reader.onload = function (e) {
+    try {
+      const result = prepareScenarioFile(JSON.parse(e.target.result));
+      renderLoadReport(result.report, result.errors);
+      if (!result.scenario) {
+        throw new Error("Invalid loan scenario file format");
+      }
+
+      loadedScenarioData = result.scenario;
+      loadedScenarioIdEl.value = result.scenario.id;
+      loadScenarioBtnEl.disabled = false;
+
+      showMessage(
+        "load-success",
+        `File loaded successfully! Scenario ID: ${result.scenario.id}`,
+        loadFileInputEl.parentElement
+      );
+    } catch (error) {
+      console.error("Error parsing file:", error);
+      showMessage(
+        "error-message",
+        "Invalid file format. Please select a valid loan scenario file.",
+        loadFileInputEl.parentElement
+      );
+      loadScenarioBtnEl.disabled = true;
+      loadedScenarioIdEl.value = "Invalid file";
+      loadedScenarioData = null;
+    }
+  };
+
+  reader.readAsText(file);
+}
+
+/**
+ * List what loading a file upgraded, fixed or ignored, and any errors
+ * that stop it from loading.
+ */
+function renderLoadReport(report, errors) {
+  loadReportEl.innerHTML = "";
+  (errors || []).forEach((line) => {
+    const li = document.createElement("li");
+    li.className = "load-report-item load-report-error";
+    li.textContent = line;
+    loadReportEl.appendChild(li);
+  });
+  report.forEach((line) => {
+    const li = document.createElement("li");
+    li.className = "load-report-item";
+    li.textContent = line;
+    loadReportEl.appendChild(li);
+  });
+}
+
+/**
+ * Put a scenario's settings, rules and notes on screen (the schedule table
+ * is regenerated separately, see applyScenarioEvents()).
+ */
+function applyScenarioSettings(data) {
+  loanAmountEl.value = data.loanAmount;
+  roiStartEl.value = data.roiStart;
+  tenureEl.value = data.tenureMonths;
+  applyRepaymentStructure(data.repaymentStructure);
+  applyPreEmiSettings(data.preEmi);
+  applyDayCountSettings(data.dayCount);
+  applyRateResetPolicy(data.rateResetPolicy);
+  applyFloatingRateSettings(data.floatingRate);
+  applyDelinquencySettings(data.delinquency);
+  applyChargesSettings(data.charges);
+  applyTaxSettings(data.tax);
+  recurringPrepayments = Array.isArray(data.recurringPrepayments)
+    ? data.recurringPrepayments.map((rule) => ({ ...rule }))
+    : [];
+  renderRecurringRules();
+  moratoriums = Array.isArray(data.moratoriums)
+    ? data.moratoriums.map((range) => ({
+        ...range,
+        endMonth: range.endMonth || range.startMonth,
+      }))
+    : [];
+  renderMoratoriums();
+  eventNotes = { ...(data.notes || {}) };
+
+  updateLoanAmountWords();
+  updateTenureWords();
+
+  // Files without a start date begin today
+  applyLoanStartDate(data.loanStartDate);
+}
+
+/**
+ * Fill a scenario's one-off events into the freshly generated table rows,
+ * matched by calendar month.
+ */
+function applyScenarioEvents(data) {
+  // Set disbursements
+  if (data.disbursements) {
+    Object.entries(data.disbursements).forEach(([month, value]) => {
+      const input = document.querySelector(
+        `.disbursement-input[data-month="${month}"]`
+      );
+      if (input) {
+        input.value = value;
+      }
+    });
+  }
+
+  // Set prepayments
+  if (data.prepayments) {
+    Object.entries(data.prepayments).forEach(([month, value]) => {
+      const input = document.querySelector(
+        `.prepay-input[data-month="${month}"]`
+      );
+      if (input) {
+        input.value = value;
+      }
+    });
+  }
+
+  // Set actual payments on missed / partial EMIs
+  if (data.emiPayments) {
+    Object.entries(data.emiPayments).forEach(([month, value]) => {
+      const input = document.querySelector(
+        `.emi-paid-input[data-month="${month}"]`
+      );
+      if (input) {
+        input.value = value;
+      }
+    });
+  }
+
+  // Mark actually paid rows with their date and amount
+  if (data.actualPayments) {
+    Object.entries(data.actualPayments).forEach(([month, payment]) => {
+      const checkbox = document.querySelector(
+        `.paid-input[data-month="${month}"]`
+      );
+      if (!checkbox) return;
+      const cell = checkbox.closest("td");
+      const dateInput = cell.querySelector(".paid-date-input");
+      checkbox.checked = true;
+      cell.querySelector(".emi-paid-input").value = payment.amount;
+      dateInput.value = payment.date;
+      dateInput.hidden = false;
+    });
+  }
+
+  // Set prepayment modes (reduce EMI / reduce tenure)
+  if (data.prepaymentModes) {
+    Object.entries(data.prepaymentModes).forEach(([month, value]) => {
+      const select = document.querySelector(
+        `.prepay-mode-input[data-month="${month}"]`
+      );
+      if (select) {
+        select.value = value;
+      }
+    });
+  }
+
+  // Set ROI changes
+  if (data.roiChanges) {
+    Object.entries(data.roiChanges).forEach(([month, value]) => {
+      const input = document.querySelector(`.roi-input[data-month="${month}"]`);
+      if (input) {
+        input.value = value;
+      }
+    });
+  }
+
+  // Set per-change rate reset overrides
+  if (data.roiChangePolicies) {
+    Object.entries(data.roiChangePolicies).forEach(([month, value]) => {
+      const select = document.querySelector(
+        `.roi-policy-input[data-month="${month}"]`
+      );
+      if (select) {
+        select.value = value;
+      }
+    });
+  }
+}
+
+function loadScenario() {
+  if (!loadedScenarioData) {
+    showMessage(
+      "error-message",
+      "No valid scenario data to load.",
+      loadScenarioBtnEl.parentElement
+    );
+    return;
+  }
+
+  try {
+    libraryScenarioId = null;
+    applyScenarioSettings(loadedScenarioData);
+
+    currentScenarioId = loadedScenarioData.id;
+    currentScenarioIdEl.value = currentScenarioId;
+    historyLabel = `Loaded ${loadedScenarioData.id}`;
+
+    generateBaseline();
+
+    setTimeout(() => {
+      applyScenarioEvents(loadedScenarioData);
       applyUserChanges();
 
-      showMessage(
-        "load-success",
-        `Scenario "${loadedScenarioData.id}" loaded successfully!`,
-        loadScenarioBtnEl.parentElement
-      );
-    }, 100);
+      showMessage(
+        "load-success",
+        `Scenario "${loadedScenarioData.id}" loaded successfully!`,
+        loadScenarioBtnEl.parentElement
+      );
+    }, 100);
+  } catch (error) {
+    console.error("Error loading scenario:", error);
+    showMessage(
+      "error-message",
+      "Failed to load scenario. Please try again.",
+      loadScenarioBtnEl.parentElement
+    );
+  }
+}
+
+function showMessage(className, message, parentElement) {
+  parentElement
+    .querySelectorAll(".save-success, .load-success, .error-message")
+    .forEach((el) => el.remove());
+
+  const messageEl = document.createElement("div");
+  messageEl.className = className;
+  messageEl.textContent = message;
+  parentElement.appendChild(messageEl);
+
+  setTimeout(() => {
+    messageEl.remove();
+  }, 5000);
+}
+
+/////////////////////// Scenario Library ///////////////////////
+
+/**
+ * Re-read the library and redraw the list.
+ */
+async function refreshLibrary() {
+  try {
+    libraryRecords = await listLibraryScenarios();
+  } catch (error) {
+    console.log("Cannot read scenario library -", error.message);
+    libraryRecords = [];
+    renderLibrary(
+      "Scenario library unavailable in this browser; save and load files instead."
+    );
+    return;
+  }
+  renderLibrary();
+}
+
+function libraryActionButton(label, title, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "btn btn-outline rule-remove";
+  button.title = title;
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+/**
+ * Draw the library list with the current search and sort order.
+ */
+function renderLibrary(emptyMessage) {
+  libraryListEl.innerHTML = "";
+  const records = sortLibrary(
+    filterLibrary(libraryRecords, librarySearchEl.value),
+    librarySortEl.value
+  );
+
+  if (records.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "rule-empty";
+    empty.textContent =
+      emptyMessage ||
+      (libraryRecords.length > 0
+        ? "No scenarios match the search."
+        : "No scenarios in the library yet.");
+    libraryListEl.appendChild(empty);
+    return;
+  }
+
+  const openId = libraryScenarioId || currentScenarioId;
+  records.forEach((record) => {
+    const li = document.createElement("li");
+    li.className = "rule-item library-item";
+    if (record.id === openId) li.classList.add("current");
+
+    const info = document.createElement("div");
+    info.className = "library-info";
+    const name = document.createElement("strong");
+    name.textContent = record.name;
+    const details = document.createElement("small");
+    details.textContent = `${record.id} · modified ${new Date(
+      record.modified
+    ).toLocaleString()}`;
+    info.appendChild(name);
+    info.appendChild(details);
+    if (record.tags.length > 0) {
+      const tags = document.createElement("div");
+      record.tags.forEach((tag) => {
+        const chip = document.createElement("span");
+        chip.className = "library-tag";
+        chip.textContent = tag;
+        tags.appendChild(chip);
+      });
+      info.appendChild(tags);
+    }
+
+    const actions = document.createElement("div");
+    actions.className = "library-actions";
+    actions.appendChild(
+      libraryActionButton("Open", "Load this scenario", () =>
+        openLibraryScenario(record.id)
+      )
+    );
+    actions.appendChild(
+      libraryActionButton("Rename", "Rename this scenario", () =>
+        renameLibraryScenario(record)
+      )
+    );
+    actions.appendChild(
+      libraryActionButton("Tags", "Edit the tags", () =>
+        retagLibraryScenario(record)
+      )
+    );
+    actions.appendChild(
+      libraryActionButton("Duplicate", "Copy under a new scenario ID", () =>
+        runLibraryAction(() =>
+          duplicateLibraryScenario(record.id, generateScenarioId())
+        )
+      )
+    );
+    actions.appendChild(
+      libraryActionButton("Export", "Download as a JSON file", () =>
+        downloadScenarioFile(record.data)
+      )
+    );
+    actions.appendChild(
+      libraryActionButton("✕", "Delete from the library", () => {
+        if (confirm(`Delete "${record.name}" from the library?`)) {
+          runLibraryAction(() => deleteLibraryScenario(record.id));
+        }
+      })
+    );
+
+    li.appendChild(info);
+    li.appendChild(actions);
+    libraryListEl.appendChild(li);
+  });
+}
+
+/**
+ * Run a library change, then redraw the list (or report the failure).
+ */
+async function runLibraryAction(action) {
+  try {
+    await action();
+    await refreshLibrary();
   } catch (error) {
-    console.error("Error loading scenario:", error);
+    console.error("Scenario library error:", error);
     showMessage(
       "error-message",
-      "Failed to load scenario. Please try again.",
-      loadScenarioBtnEl.parentElement
+      `Scenario library error: ${error.message}`,
+      libraryListEl.parentElement
     );
   }
 }
 
-function showMessage(className, message, parentElement) {
-  parentElement
-    .querySelectorAll(".save-success, .load-success, .error-message")
-    .forEach((el) => el.remove());
+/**
+ * Save what is on screen to the library. The entry last opened or saved
+ * is updated in place even after edits; empty name / tags keep the stored
+ * ones.
+ */
+async function saveToLibrary() {
+  if (!currentScenarioId && libraryScenarioId) {
+    currentScenarioId = libraryScenarioId;
+    currentScenarioIdEl.value = currentScenarioId;
+  }
+  const name = libraryNameEl.value.trim();
+  const tags = parseTags(libraryTagsEl.value);
+  try {
+    const record = await saveLibraryScenario(currentScenarioFile(), {
+      name: name || undefined,
+      tags: tags.length > 0 ? tags : undefined,
+    });
+    libraryScenarioId = record.id;
+    libraryNameEl.value = record.name;
+    libraryTagsEl.value = record.tags.join(", ");
+    showMessage(
+      "save-success",
+      `Saved "${record.name}" to the library.`,
+      saveToLibraryBtnEl.parentElement
+    );
+    await refreshLibrary();
+  } catch (error) {
+    console.error("Error saving to library:", error);
+    showMessage(
+      "error-message",
+      `Failed to save to the library: ${error.message}`,
+      saveToLibraryBtnEl.parentElement
+    );
+  }
+}
 
-  const messageEl = document.createElement("div");
-  messageEl.className = className;
-  messageEl.textContent = message;
-  parentElement.appendChild(messageEl);
+/**
+ * Save what is on screen as a new library entry with a fresh scenario ID.
+ */
+function saveAsNewToLibrary() {
+  currentScenarioId = null;
+  libraryScenarioId = null;
+  return saveToLibrary();
+}
 
-  setTimeout(() => {
-    messageEl.remove();
-  }, 5000);
+async function openLibraryScenario(id) {
+  let record;
+  try {
+    record = await getLibraryScenario(id);
+  } catch (error) {
+    console.error("Error opening library scenario:", error);
+    showMessage(
+      "error-message",
+      `Cannot open this scenario: ${error.message}`,
+      libraryListEl.parentElement
+    );
+    return;
+  }
+  if (!record) {
+    await refreshLibrary();
+    showMessage(
+      "error-message",
+      "This scenario is no longer in the library.",
+      libraryListEl.parentElement
+    );
+    return;
+  }
+  const result = prepareScenarioFile(record.data);
+  if (!result.scenario) {
+    showMessage(
+      "error-message",
+      `Cannot open "${record.name}": ${result.errors.join("; ")}`,
+      libraryListEl.parentElement
+    );
+    return;
+  }
+  renderLoadReport(result.report);
+  loadedScenarioData = result.scenario;
+  loadedScenarioIdEl.value = record.id;
+  loadScenario();
+  libraryScenarioId = record.id;
+  libraryNameEl.value = record.name;
+  libraryTagsEl.value = record.tags.join(", ");
+  renderLibrary();
 }
 
-/////////////////////// Baseline generator ///////////////////////
+function renameLibraryScenario(record) {
+  const name = prompt("Rename scenario", record.name);
+  if (name === null || name.trim() === "") return;
+  runLibraryAction(() =>
+    updateLibraryScenario(record.id, { name: name.trim() })
+  );
+  if (record.id === libraryScenarioId) libraryNameEl.value = name.trim();
+}
 
-function generateBaseline() {
-  const P = Number(loanAmountEl.value) || 0;
-  const annualRate = Number(roiStartEl.value) || 0;
-  const n = parseInt(tenureEl.value) || 0;
-  const monthlyRate = annualRate / 12 / 100;
-  const baselineEMI = calculateEMI(P, monthlyRate, n);
-
-  const rows = [];
-  let balance = P;
-  let totalInterest = 0;
-  const startDate = loanStartDate ? new Date(loanStartDate) : new Date();
-
-  for (let i = 1; i <= n; i++) {
-    const interest = balance * monthlyRate;
-    let principal = baselineEMI - interest;
-    if (principal < 0) principal = 0;
-    if (principal > balance) principal = balance;
-    balance -= principal;
-    totalInterest += interest;
-
-    rows.push({
-      monthIndex: i,
-      monthLabel: formatDate(addMonths(startDate, i)),
-      emi: baselineEMI,
-      interest: interest,
-      principal: principal,
-      disbursement: 0,
-      prepayment: 0,
-      roiChange: null,
-      balance: Math.max(balance, 0),
+function retagLibraryScenario(record) {
+  const text = prompt("Tags (comma separated)", record.tags.join(", "));
+  if (text === null) return;
+  runLibraryAction(() =>
+    updateLibraryScenario(record.id, { tags: parseTags(text) })
+  );
+  if (record.id === libraryScenarioId) {
+    libraryTagsEl.value = parseTags(text).join(", ");
+  }
+}
+
+/////////////////////// Scenario Comparison ///////////////////////
+
+const COMPARISON_COLORS = [
+  "#45b7d1",
+  "#ff6b6b",
+  "#4ecdc4",
+  "#a855f7",
+  "#f59e0b",
+  "#22c55e",
+];
+
+// Rows of the comparison table; `lowerIsBetter` colours the difference
+// against the first scenario (undefined = neutral), `formatDiff` formats
+// it when `format` does not suit a difference
+const COMPARISON_METRICS = [
+  {
+    label: "Loan Amount",
+    value: (s) => Number(s.scenario.loanAmount) || 0,
+    format: (v) => `₹${toCurrency(v)}`,
+  },
+  {
+    label: "Initial ROI",
+    value: (s) => Number(s.scenario.roiStart) || 0,
+    format: (v) => `${v}%`,
+    formatDiff: (d) => `${d.toFixed(2)}%`,
+    lowerIsBetter: true,
+  },
+  {
+    label: "EMI",
+    value: (s) => s.metrics.emi,
+    format: (v) => `₹${toCurrency(v)}`,
+    lowerIsBetter: true,
+  },
+  {
+    label: "Final EMI",
+    value: (s) => s.metrics.finalEMI,
+    format: (v) => `₹${toCurrency(v)}`,
+    lowerIsBetter: true,
+  },
+  {
+    label: "Tenure",
+    value: (s) => s.metrics.months,
+    format: (v) => `${v} months`,
+    lowerIsBetter: true,
+  },
+  {
+    label: "Completion Date",
+    value: (s) =>
+      s.metrics.completionDate
+        ? new Date(s.metrics.completionDate).getTime()
+        : null,
+    format: (v) => formatDate(v),
+    formatDiff: (d) => `${Math.round(d / (30.4375 * 24 * 3600 * 1000))} months`,
+    lowerIsBetter: true,
+  },
+  {
+    label: "Total Interest",
+    value: (s) => s.metrics.totalInterest,
+    format: (v) => `₹${toCurrency(v)}`,
+    lowerIsBetter: true,
+  },
+  {
+    label: "Interest Saved",
+    value: (s) => s.metrics.interestSaved,
+    format: (v) => `₹${toCurrency(v)}`,
+    lowerIsBetter: false,
+  },
+  {
+    label: "Charges",
+    value: (s) => s.metrics.totalCharges || 0,
+    format: (v) => `₹${toCurrency(v)}`,
+    lowerIsBetter: true,
+  },
+  {
+    label: "Effective Rate (XIRR)",
+    value: (s) => s.metrics.xirr,
+    format: (v) => `${v.toFixed(2)}%`,
+    formatDiff: (d) => `${d.toFixed(2)}%`,
+    lowerIsBetter: true,
+  },
+];
+
+function describeComparedScenario(entry) {
+  const s = entry.scenario;
+  return `${entry.name}: ₹${toCurrency(Number(s.loanAmount) || 0)} at ${
+    Number(s.roiStart) || 0
+  }% for ${parseInt(s.tenureMonths) || 0} months`;
+}
+
+/**
+ * Add a scenario (saved-file shape: scenario data plus loanStartDate) to
+ * the comparison; its schedule is simulated on its own, leaving the
+ * current work untouched.
+ */
+function addToComparison(name, scenario) {
+  comparedScenarios.push({
+    name,
+    scenario,
+    metrics: scenarioMetrics({
+      ...scenario,
+      loanStartDate: scenario.loanStartDate || new Date().toISOString(),
+    }),
+  });
+  renderComparison();
+}
+
+/**
+ * Fork what is on screen into the comparison.
+ */
+function compareCurrentScenario() {
+  if (currentSchedule.length === 0) {
+    showMessage(
+      "error-message",
+      "Generate a schedule before adding it to the comparison.",
+      compareCurrentBtnEl.parentElement
+    );
+    return;
+  }
+  const forks = comparedScenarios.filter((entry) => entry.forked).length;
+  addToComparison(
+    `${currentScenarioId || "Current"} (fork ${forks + 1})`,
+    collectScenarioData()
+  );
+  comparedScenarios[comparedScenarios.length - 1].forked = true;
+}
+
+function handleComparisonFiles() {
+  const parent = compareFileInputEl.closest(".form-group");
+  Array.from(compareFileInputEl.files).forEach((file) => {
+    const reader = new FileReader();
+    reader.onload = function (e) {
+      try {
+        const result = prepareScenarioFile(JSON.parse(e.target.result));
+        if (!result.scenario) throw new Error(result.errors.join("; "));
+        addToComparison(result.scenario.id, result.scenario);
+      } catch (error) {
+        console.error("Error reading comparison file:", error);
+        showMessage(
+          "error-message",
+          `Could not compare ${file.name}: ${error.message}`,
+          parent
+        );
+      }
+    };
+    reader.readAsText(file);
+  });
+  compareFileInputEl.value = "";
+}
+
+function removeFromComparison(idx) {
+  comparedScenarios.splice(idx, 1);
+  renderComparison();
+}
+
+function clearComparison() {
+  comparedScenarios = [];
+  renderComparison();
+}
+
+function renderComparisonTable() {
+  const head = comparisonTableEl.querySelector("thead");
+  const body = comparisonTableEl.querySelector("tbody");
+  head.innerHTML = `<tr><th>Metric</th>${comparedScenarios
+    .map((entry) => `<th>${escapeHtml(entry.name)}</th>`)
+    .join("")}</tr>`;
+  body.innerHTML = "";
+
+  COMPARISON_METRICS.forEach((metric) => {
+    const tr = document.createElement("tr");
+    const first = metric.value(comparedScenarios[0]);
+    const cells = comparedScenarios.map((entry, idx) => {
+      const value = metric.value(entry);
+      if (value === null || value === undefined) return "<td>—</td>";
+      let delta = "";
+      if (idx > 0 && first !== null && first !== undefined) {
+        const diff = value - first;
+        const className =
+          Math.abs(diff) < 0.005 || metric.lowerIsBetter === undefined
+            ? ""
+            : diff < 0 === metric.lowerIsBetter
+            ? "better"
+            : "worse";
+        const text = `${diff >= 0 ? "+" : "−"}${(
+          metric.formatDiff || metric.format
+        )(Math.abs(diff))}`;
+        delta = `<span class="comparison-delta ${className}">${
+          Math.abs(diff) < 0.005 ? "same" : text
+        }</span>`;
+      }
+      return `<td>${metric.format(value)}${delta}</td>`;
+    });
+    tr.innerHTML = `<td>${metric.label}</td>${cells.join("")}`;
+    body.appendChild(tr);
+  });
+}
+
+/**
+ * One outstanding-balance line per scenario on a shared month axis, so
+ * scenarios starting in different months still line up.
+ */
+async function renderComparisonChart() {
+  const monthKey = (date) => {
+    const d = new Date(date);
+    return d.getFullYear() * 12 + d.getMonth();
+  };
+  const keys = [
+    ...new Set(
+      comparedScenarios.flatMap((entry) =>
+        entry.metrics.balances.map((point) => monthKey(point.date))
+      )
+    ),
+  ].sort((a, b) => a - b);
+
+  try {
+    await loadChartJS();
+    if (comparisonChart) comparisonChart.destroy();
+    const canvas = document.getElementById("comparisonChart");
+    comparisonChart = new Chart(canvas.getContext("2d"), {
+      type: "line",
+      data: {
+        labels: keys.map((key) =>
+          formatMonthYear(new Date(Math.floor(key / 12), key % 12, 1))
+        ),
+        datasets: comparedScenarios.map((entry, idx) => {
+          const byMonth = new Map(
+            entry.metrics.balances.map((point) => [
+              monthKey(point.date),
+              point.balance,
+            ])
+          );
+          const color = COMPARISON_COLORS[idx % COMPARISON_COLORS.length];
+          return {
+            label: entry.name,
+            data: keys.map((key) =>
+              byMonth.has(key) ? byMonth.get(key) : null
+            ),
+            borderColor: color,
+            backgroundColor: color,
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false,
+          };
+        }),
+      },
+      options: {
+        responsive: true,
+        maintainAspectRatio: false,
+        interaction: {
+          mode: "index",
+          intersect: false,
+        },
+        plugins: {
+          title: {
+            display: true,
+            text: "Outstanding Balance by Scenario",
+          },
+          tooltip: {
+            callbacks: {
+              label: function (context) {
+                return `${context.dataset.label}: ₹${toCurrency(
+                  context.parsed.y
+                )}`;
+              },
+            },
+          },
+        },
+        scales: {
+          y: {
+            title: {
+              display: true,
+              text: "Outstanding Balance (₹)",
+            },
+            ticks: {
+              callback: function (value) {
+                return "₹" + toCurrency(value);
+              },
+            },
+          },
+        },
+      },
+    });
+  } catch (error) {
+    console.error("Error creating comparison chart:", error);
+  }
+}
+
+function renderComparison() {
+  comparisonListEl.innerHTML = "";
+  if (comparedScenarios.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "rule-empty";
+    empty.textContent = "Add two or more scenarios to compare them.";
+    comparisonListEl.appendChild(empty);
+  }
+
+  comparedScenarios.forEach((entry, idx) => {
+    const li = document.createElement("li");
+    li.className = "rule-item";
+
+    const text = document.createElement("span");
+    text.textContent = describeComparedScenario(entry);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "btn btn-outline rule-remove";
+    removeBtn.title = "Remove from the comparison";
+    removeBtn.textContent = "✕";
+    removeBtn.addEventListener("click", () => removeFromComparison(idx));
+
+    li.appendChild(text);
+    li.appendChild(removeBtn);
+    comparisonListEl.appendChild(li);
+  });
+
+  if (comparedScenarios.length < 2) {
+    comparisonCardEl.style.display = "none";
+    return;
+  }
+  comparisonCardEl.style.display = "";
+  renderComparisonTable();
+  renderComparisonChart();
+}
+
+/////////////////////// Edit History ///////////////////////
+
+const HISTORY_LIMIT = 50;
+
+// How changes to each scenario field read in the history list
+const HISTORY_VALUE_FIELDS = {
+  loanAmount: "Loan amount",
+  roiStart: "ROI",
+  tenureMonths: "Tenure",
+};
+const HISTORY_EVENT_FIELDS = {
+  disbursements: "Disbursement",
+  prepayments: "Prepayment",
+  prepaymentModes: "Prepayment mode",
+  emiPayments: "EMI paid",
+  actualPayments: "Payment",
+  roiChanges: "ROI change",
+  roiChangePolicies: "Rate reset override",
+  notes: "Note",
+};
+const HISTORY_SECTION_FIELDS = {
+  loanStartDate: "Loan start date",
+  repaymentStructure: "Repayment structure",
+  preEmi: "Pre-EMI settings",
+  dayCount: "Day count",
+  rateResetPolicy: "Rate reset policy",
+  charges: "Charges",
+  tax: "Tax settings",
+  floatingRate: "Floating rate",
+  delinquency: "Penal charges",
+  recurringPrepayments: "Recurring prepayments",
+  moratoriums: "Moratoriums",
+};
+
+/**
+ * "2024-07" → "Jul 2024"
+ */
+function formatMonthKey(month) {
+  const [year, mm] = month.split("-").map(Number);
+  return new Date(year, mm - 1, 1).toLocaleDateString("en-GB", {
+    month: "short",
+    year: "numeric",
+  });
+}
+
+/**
+ * One line for the history list saying what changed between two scenario
+ * snapshots, or null when nothing did.
+ */
+function describeHistoryChange(before, after) {
+  if (!before) return "Schedule generated";
+  const show = (value) => {
+    if (typeof value === "number") return toCurrency(value);
+    if (value && typeof value === "object") {
+      return `₹${toCurrency(value.amount)} on ${value.date}`;
+    }
+    return value;
+  };
+  const changes = [];
+  const touched = new Set();
+  Object.entries(HISTORY_VALUE_FIELDS).forEach(([key, label]) => {
+    if (before[key] !== after[key]) {
+      changes.push(`${label} ${show(before[key])} → ${show(after[key])}`);
+    }
+  });
+  Object.entries(HISTORY_EVENT_FIELDS).forEach(([key, label]) => {
+    const was = before[key] || {};
+    const now = after[key] || {};
+    // Modes and overrides follow their prepayment / rate; only list them
+    // when changed on their own
+    const secondary = key === "prepaymentModes" || key === "roiChangePolicies";
+    new Set([...Object.keys(was), ...Object.keys(now)]).forEach((month) => {
+      if (JSON.stringify(was[month]) === JSON.stringify(now[month])) return;
+      if (secondary && touched.has(month)) return;
+      touched.add(month);
+      changes.push(
+        `${label} ${formatMonthKey(month)}: ${
+          month in now ? show(now[month]) : "removed"
+        }`
+      );
     });
+  });
+  Object.entries(HISTORY_SECTION_FIELDS).forEach(([key, label]) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes.push(`${label} changed`);
+    }
+  });
+  if (changes.length === 0) return null;
+  return changes.length > 1
+    ? `${changes[0]} (+${changes.length - 1} more)`
+    : changes[0];
+}
+
+/**
+ * Record what is on screen once edits settle; called after every
+ * recalculation, so a burst (e.g. loading a scenario) becomes one entry.
+ */
+function scheduleHistory() {
+  if (restoringHistory) return;
+  clearTimeout(historyTimeout);
+  historyTimeout = setTimeout(recordHistory, 600);
+}
+
+function recordHistory() {
+  clearTimeout(historyTimeout);
+  historyTimeout = null;
+  const state = JSON.parse(JSON.stringify(collectScenarioData()));
+  const current = editHistory[historyIndex];
+  const change = describeHistoryChange(current && current.state, state);
+  const label = historyLabel || change;
+  historyLabel = null;
+  if (!change) return;
+
+  // A new edit after undo drops the undone entries
+  editHistory = editHistory.slice(0, historyIndex + 1);
+  editHistory.push({ label, time: new Date(), state });
+  if (editHistory.length > HISTORY_LIMIT) editHistory.shift();
+  historyIndex = editHistory.length - 1;
+  renderHistory();
+}
+
+/**
+ * Put the scenario of history entry `index` back on screen.
+ */
+function goToHistory(index) {
+  if (index < 0 || index >= editHistory.length || index === historyIndex) {
+    return;
+  }
+  clearTimeout(window.autoApplyTimeout);
+  historyIndex = index;
+  const { state } = editHistory[index];
+  restoringHistory = true;
+  try {
+    applyScenarioSettings(state);
+    generateBaseline();
+    applyScenarioEvents(state);
+    applyUserChanges();
+  } finally {
+    restoringHistory = false;
+  }
+  renderHistory();
+}
+
+// Edits still waiting for their recalculation are recorded first, so undo
+// never skips them
+function undo() {
+  clearTimeout(window.autoApplyTimeout);
+  recordHistory();
+  goToHistory(historyIndex - 1);
+}
+
+function redo() {
+  clearTimeout(window.autoApplyTimeout);
+  recordHistory();
+  goToHistory(historyIndex + 1);
+}
+
+function jumpToHistory(entry) {
+  clearTimeout(window.autoApplyTimeout);
+  recordHistory();
+  goToHistory(editHistory.indexOf(entry));
+}
 
-    if (balance <= 0.0001) break;
+/**
+ * Draw the history list, newest first; entries after the current one can
+ * be redone.
+ */
+function renderHistory() {
+  historyListEl.innerHTML = "";
+  undoBtnEl.disabled = historyIndex <= 0;
+  redoBtnEl.disabled = historyIndex >= editHistory.length - 1;
+
+  if (editHistory.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "rule-empty";
+    empty.textContent = "No changes yet.";
+    historyListEl.appendChild(empty);
+    return;
   }
 
-  originalSchedule = rows;
-  origTotalInterestEl.value = toCurrency(totalInterest);
+  editHistory.forEach((entry, index) => {
+    const li = document.createElement("li");
+    li.className = "rule-item history-item";
+    if (index === historyIndex) li.classList.add("current");
+    if (index > historyIndex) li.classList.add("undone");
+    li.title = "Go back to this point";
+    const label = document.createElement("span");
+    label.textContent = entry.label;
+    const time = document.createElement("small");
+    time.textContent = entry.time.toLocaleTimeString();
+    li.appendChild(label);
+    li.appendChild(time);
+    li.addEventListener("click", () => jumpToHistory(entry));
+    historyListEl.prepend(li);
+  });
+}
+
+/////////////////////// Baseline generator ///////////////////////
+
+function generateBaseline() {
+  const baseline = generateBaselineSchedule(collectScenarioData());
+
+  originalSchedule = baseline.schedule;
+  currentTotals = baseline.totals;
+  updateDayCountFields(baseline.totals);
+  updateChargesFields(baseline.totals);
+  origTotalInterestEl.value = toCurrency(baseline.totals.totalInterest);
 
   currentSchedule = JSON.parse(JSON.stringify(originalSchedule));
+  updateTaxFields();
   renderSchedule(currentSchedule);
 
   // NEW: Create amortization chart
   createAmortizationChart();
 
-  const completionMonthIndex = currentSchedule.length;
-  completionDateEl.value = formatDate(
-    addMonths(new Date(), completionMonthIndex)
-  );
+  updateCompletionDate(currentSchedule);
+  updateLoanStartFields(currentSchedule);
   newTotalInterestEl.value = origTotalInterestEl.value;
   interestSavedEl.value = toCurrency(0);
   totalDisbursementsEl.value = toCurrency(0);
@@ -913,21 +3270,223 @@ function generateBaseline() {
   updateCompletionProgress();
   updateTotalLoanWithAll();
   scrollToCurrentMonth();
+
+  // Recurring rules, moratoriums, Pre-EMI and benchmark resets survive a
+  // regenerate; re-apply
+  if (
+    recurringPrepayments.length > 0 ||
+    moratoriums.length > 0 ||
+    isPreEmiMode() ||
+    isBenchmarkLinked()
+  ) {
+    applyUserChanges();
+  }
+  scheduleHistory();
+}
+
+/////////////////////// Render ///////////////////////
+
+// Per-row rate reset choices; "" falls back to the global policy
+const ROI_POLICY_OPTIONS = [
+  ["", "Default policy"],
+  [RATE_RESET_KEEP_EMI, "Keep EMI"],
+  [RATE_RESET_KEEP_TENURE, "Keep tenure"],
+  [RATE_RESET_HYBRID, "Extend, then raise EMI"],
+];
+
+/////////////////////// Yearly grouping ///////////////////////
+
+function isYearlyView() {
+  return scheduleViewEl.value !== "monthly";
+}
+
+function yearHeaderRow(year) {
+  const tr = document.createElement("tr");
+  const key = String(year.year);
+  tr.className = "year-header";
+  tr.dataset.year = key;
+  if (expandedYears.has(key)) tr.classList.add("expanded");
+  tr.innerHTML = `
+      <td colspan="2" title="Click to show or hide the months"><span class="year-toggle">▸</span> ${
+        year.label
+      } <small>(${year.months} months)</small></td>
+      <td>${toCurrency(year.emi)}</td>
+      <td>${toCurrency(year.interest)}</td>
+      <td>${toCurrency(year.principal)}</td>
+      <td>${toCurrency(year.disbursement)}</td>
+      <td>${toCurrency(year.prepayment)}</td>
+      <td></td>
+      <td title="Outstanding at year end">${toCurrency(
+        year.closingBalance
+      )}</td>
+      <td></td>
+    `;
+  return tr;
+}
+
+/**
+ * Show or hide the months of one year in the grouped view.
+ */
+function toggleYear(key) {
+  if (expandedYears.has(key)) {
+    expandedYears.delete(key);
+  } else {
+    expandedYears.add(key);
+  }
+  const expanded = expandedYears.has(key);
+  amortTableBody.querySelectorAll(`tr[data-year="${key}"]`).forEach((tr) => {
+    if (tr.classList.contains("year-header")) {
+      tr.classList.toggle("expanded", expanded);
+    } else {
+      tr.classList.toggle("year-collapsed", !expanded);
+    }
+  });
+}
+
+/**
+ * Switching the grouping starts with only the current year opened.
+ */
+function changeScheduleView() {
+  expandedYears = new Set();
+  if (isYearlyView()) {
+    const year = aggregateByYear(currentSchedule, scheduleViewEl.value).find(
+      (y) =>
+        currentSchedule
+          .slice(y.firstIdx, y.lastIdx + 1)
+          .some((row) => isCurrentMonth(row.monthLabel))
+    );
+    if (year) expandedYears.add(String(year.year));
+  }
+  renderSchedule(currentSchedule);
 }
 
-/////////////////////// Render ///////////////////////
-
 function renderSchedule(schedule) {
+  const gridHadFocus = gridCellOf(document.activeElement) !== null;
   amortTableBody.innerHTML = "";
+  const rowYears = new Map();
+  if (isYearlyView()) {
+    aggregateByYear(schedule, scheduleViewEl.value).forEach((year) => {
+      for (let i = year.firstIdx; i <= year.lastIdx; i++) {
+        rowYears.set(i, year);
+      }
+    });
+  }
   schedule.forEach((row, idx) => {
+    const year = rowYears.get(idx);
+    if (year && year.firstIdx === idx) {
+      amortTableBody.appendChild(yearHeaderRow(year));
+    }
     const tr = document.createElement("tr");
-    const hasModifiedEMI = row.emi !== originalSchedule[0]?.emi;
+    if (year) {
+      tr.dataset.year = String(year.year);
+      if (!expandedYears.has(String(year.year))) {
+        tr.classList.add("year-collapsed");
+      }
+    }
+    const originalRow =
+      originalSchedule[idx] || originalSchedule[originalSchedule.length - 1];
+    const hasModifiedEMI = row.emi !== originalRow?.emi;
     const hasDisbursement = row.disbursement > 0;
+    const previousEMI = idx > 0 ? schedule[idx - 1].emi : row.emi;
+    let emiChangeNote =
+      Math.abs(row.emi - previousEMI) > 0.005
+        ? `EMI changed from ₹${toCurrency(previousEMI)} to ₹${toCurrency(
+            row.emi
+          )} this month`
+        : "";
+    if (row.tenureCapped) {
+      emiChangeNote += " (tenure cap reached, EMI raised)";
+    }
+    if (row.emiStepped) {
+      emiChangeNote += " (yearly EMI step)";
+    }
+    if (row.preEmi) {
+      emiChangeNote = "Pre-EMI: interest only on the amount disbursed so far";
+      tr.classList.add("pre-emi-row");
+    }
+    let interestNote =
+      row.brokenPeriodInterest > 0
+        ? `Includes ₹${toCurrency(
+            row.brokenPeriodInterest
+          )} broken-period interest from loan start to the first EMI cycle`
+        : "";
+    let paymentNote = "";
+    let overdueBadge = "";
+    if (row.shortfall > 0) {
+      tr.classList.add("has-shortfall");
+      paymentNote = `₹${toCurrency(row.shortfall)} of this EMI unpaid`;
+    }
+    if (row.overdue > 0.005) {
+      tr.classList.add("in-arrears");
+      overdueBadge = `<span class="recurring-badge overdue-badge" title="Overdue EMIs plus penal interest and bounce charges">₹${toCurrency(
+        row.overdue
+      )} overdue</span>`;
+    }
+    if (row.penalInterest > 0 || row.bounceCharge > 0) {
+      paymentNote += `${paymentNote ? "; " : ""}penal interest ₹${toCurrency(
+        row.penalInterest
+      )}, bounce charge ₹${toCurrency(row.bounceCharge)}`;
+    }
+    let moratoriumBadge = "";
+    if (row.moratorium) {
+      tr.classList.add("moratorium-row");
+      emiChangeNote =
+        row.capitalisedInterest > 0
+          ? "Moratorium: no EMI this month"
+          : "Moratorium: no EMI, interest paid separately";
+      if (row.capitalisedInterest > 0) {
+        interestNote = `₹${toCurrency(
+          row.capitalisedInterest
+        )} added to the outstanding balance`;
+        moratoriumBadge = `<span class="recurring-badge moratorium-badge">capitalised</span>`;
+      }
+      if (row.moratoriumCost) {
+        moratoriumBadge += `<span class="recurring-badge moratorium-badge" title="Extra interest over the loan caused by this moratorium">holiday cost ₹${toCurrency(
+          row.moratoriumCost
+        )}</span>`;
+      }
+    }
+    if (row.paid) {
+      tr.classList.add("paid-row");
+    }
+    const extraBadge =
+      row.extraPayment > 0
+        ? `<span class="recurring-badge" title="Paid over the dues; reduces the balance like a prepayment">+₹${toCurrency(
+            row.extraPayment
+          )} extra</span>`
+        : "";
+    const roiPolicyOverride = row.roiPolicyOverride || "";
+    const prepayMode = row.prepaymentMode || PREPAY_REDUCE_TENURE;
 
     if (hasDisbursement) {
       tr.classList.add("has-disbursement");
     }
 
+    if (row.prepayment > 0) {
+      tr.classList.add("has-prepayment");
+    }
+
+    if (row.recurringPrepayment > 0) {
+      tr.classList.add("has-recurring-prepayment");
+    }
+    const recurringBadge =
+      row.recurringPrepayment > 0
+        ? `<span class="recurring-badge" title="From a recurring prepayment rule">+₹${toCurrency(
+            row.recurringPrepayment
+          )} recurring</span>`
+        : "";
+
+    if (row.roiChange !== null) {
+      tr.classList.add("roi-changed");
+    }
+    // Benchmark resets show as a placeholder so typing a rate overrides them
+    const roiValue =
+      row.roiChange !== null && !row.roiDerived ? row.roiChange : "";
+    const roiPlaceholder = row.roiDerived ? row.roiChange : "0";
+    const roiTitle = row.roiDerived
+      ? `Benchmark reset to ${row.roiChange}%; type a rate to override`
+      : "";
+
     // Highlight current month row
     const isCurrentMonthRow = isCurrentMonth(row.monthLabel);
     if (isCurrentMonthRow) {
@@ -936,226 +3495,104 @@ function renderSchedule(schedule) {
 
     tr.innerHTML = `
       <td>${idx + 1}</td>
-      <td>${row.monthLabel}</td>
-      <td class="${hasModifiedEMI ? "emi-modified" : ""}">${toCurrency(
-      row.emi
-    )}</td>
-      <td>${toCurrency(row.interest)}</td>
+      <td class="month-cell">${monthCellHtml(row)}</td>
+      <td class="${
+        hasModifiedEMI ? "emi-modified" : ""
+      }" title="${emiChangeNote}">${toCurrency(row.emi)}</td>
+      <td title="${interestNote}">${toCurrency(
+      row.interest
+    )}${moratoriumBadge}</td>
       <td>${toCurrency(row.principal)}</td>
       <td><input type="number" class="form-control table-input input-yellow disbursement-input" 
-          data-idx="${idx}" value="${row.disbursement || 0}" min="0" 
+          data-idx="${idx}" data-month="${row.month}" value="${
+      row.disbursement || 0
+    }" min="0" 
           title="Enter additional loan disbursement for this month. EMI will adjust; tenure will remain unchanged if possible."></td>
       <td><input type="number" class="form-control table-input input-yellow prepay-input" 
-          data-idx="${idx}" value="${row.prepayment || 0}" min="0"></td>
-      <td><input type="number" step="0.01" class="form-control table-input input-yellow roi-input" 
-          data-idx="${idx}" value="${
-      row.roiChange !== null ? row.roiChange : ""
-    }" placeholder="0"></td>
+          data-idx="${idx}" data-month="${row.month}" value="${
+      row.prepayment || 0
+    }" min="0">
+          <select class="form-control table-input prepay-mode-input" data-idx="${idx}" data-month="${
+      row.month
+    }"
+          title="Choose what this prepayment does to the loan">
+            <option value="${PREPAY_REDUCE_TENURE}" ${
+      prepayMode === PREPAY_REDUCE_TENURE ? "selected" : ""
+    }>Reduce tenure</option>
+            <option value="${PREPAY_REDUCE_EMI}" ${
+      prepayMode === PREPAY_REDUCE_EMI ? "selected" : ""
+    }>Reduce EMI</option>
+          </select>${recurringBadge}</td>
+      <td><input type="number" step="0.01" class="form-control table-input input-yellow roi-input${
+        row.roiDerived ? " roi-derived" : ""
+      }" 
+          data-idx="${idx}" data-month="${
+      row.month
+    }" value="${roiValue}" placeholder="${roiPlaceholder}" title="${roiTitle}">
+          <select class="form-control table-input roi-policy-input" data-idx="${idx}" data-month="${
+      row.month
+    }"
+          title="What this rate change does to EMI and tenure">
+            ${ROI_POLICY_OPTIONS.map(
+              ([value, label]) =>
+                `<option value="${value}" ${
+                  roiPolicyOverride === value ? "selected" : ""
+                }>${label}</option>`
+            ).join("")}
+          </select></td>
       <td>${toCurrency(row.balance)}</td>
+      <td title="${paymentNote}"><input type="number" class="form-control table-input input-yellow emi-paid-input" 
+          data-idx="${idx}" data-month="${row.month}" value="${
+      row.emiPaid !== null && row.emiPaid !== undefined ? row.emiPaid : ""
+    }" min="0" placeholder="Full"
+          title="Amount actually paid this month; 0 for a missed EMI, empty if paid in full">
+          <label class="paid-toggle" title="Mark this EMI as actually paid">
+            <input type="checkbox" class="paid-input" data-idx="${idx}" data-month="${
+      row.month
+    }" ${row.paid ? "checked" : ""}> Paid</label>
+          <input type="date" class="form-control table-input paid-date-input" data-idx="${idx}" data-month="${
+      row.month
+    }" value="${row.paidDate || ""}" title="Date the payment was made"${
+      row.paid ? "" : " hidden"
+    }>${extraBadge}${overdueBadge}</td>
     `;
     amortTableBody.appendChild(tr);
     // Auto-scroll to current month
   });
-  scrollToCurrentMonth();
+  // Stay on the cells being edited instead of jumping to the current month
+  if (!restoreGridSelection(gridHadFocus)) scrollToCurrentMonth();
 }
 
 /////////////////////// Core apply logic with Disbursement ///////////////////////
 
 function applyUserChanges() {
-  const P = Number(loanAmountEl.value) || 0;
-  const originalTenure = parseInt(tenureEl.value) || 0;
-  const startDate = loanStartDate ? new Date(loanStartDate) : new Date();
-
-  // Read user inputs
-  const disbursementsMap = new Map();
-  const prepaymentsMap = new Map();
-  const roiMap = new Map();
-
-  document.querySelectorAll(".disbursement-input").forEach((el) => {
-    const idx = Number(el.getAttribute("data-idx"));
-    const v = Number(el.value) || 0;
-    if (v > 0) disbursementsMap.set(idx, v);
-  });
-
-  document.querySelectorAll(".prepay-input").forEach((el) => {
-    const idx = Number(el.getAttribute("data-idx"));
-    const v = Number(el.value) || 0;
-    if (v > 0) prepaymentsMap.set(idx, v);
-  });
-
-  document.querySelectorAll(".roi-input").forEach((el) => {
-    const idx = Number(el.getAttribute("data-idx"));
-    if (el.value !== "") {
-      const v = Number(el.value);
-      if (!isNaN(v) && v >= 0) roiMap.set(idx, v);
-    }
-  });
-
-  // Initial EMI calculation
-  const initialMonthlyRate = Number(roiStartEl.value || 0) / 12 / 100;
-  let currentEMI = calculateEMI(
-    P,
-    initialMonthlyRate,
-    Math.max(1, originalTenure)
-  );
-
-  let schedule = [];
-  let balance = P;
-  let monthlyRate = initialMonthlyRate;
-  let totalInterest = 0;
-  let totalDisbursements = 0;
-  let targetRemainingMonths = originalTenure; // Track target tenure
-
-  const SAFE_MONTH_CAP = 5000;
-
-  for (
-    let monthCount = 1;
-    monthCount <= SAFE_MONTH_CAP && balance > 0.0001;
-    monthCount++
-  ) {
-    const idxForInputs = monthCount - 1;
-    const monthLabel = formatDate(addMonths(startDate, monthCount));
-
-    // Calculate remaining months at start of this month
-    const remainingMonthsBefore = targetRemainingMonths - (monthCount - 1);
-
-    // 1. Calculate interest for the month
-    const interest = balance * monthlyRate;
-
-    // 2. Calculate principal portion of EMI
-    let principal = currentEMI - interest;
-    if (principal < 0) {
-      principal = 0;
-      console.warn(`Month ${monthCount}: EMI insufficient to cover interest.`);
-    }
-    if (principal > balance) principal = balance;
-
-    // 3. Apply EMI principal reduction
-    balance -= principal;
-
-    // 4. Calculate net disbursement after prepayment
-    const prepay = prepaymentsMap.get(idxForInputs) || 0;
-    const disbursement = disbursementsMap.get(idxForInputs) || 0;
-    const netDisbursement = disbursement - prepay;
-
-    // Apply net effect
-    if (netDisbursement > 0) {
-      balance += netDisbursement;
-      totalDisbursements += disbursement; // Track total disbursements for reporting
-    } else if (netDisbursement < 0) {
-      balance = Math.max(0, balance + netDisbursement); // Effectively a prepayment
-    }
-
-    totalInterest += interest;
-
-    // 6. Store old rate before potential ROI change
-    const oldMonthlyRate = monthlyRate;
-    let roiChanged = false;
-
-    // Check for ROI change
-    if (roiMap.has(idxForInputs)) {
-      const newAnnual = roiMap.get(idxForInputs);
-      monthlyRate = Number(newAnnual) / 12 / 100;
-      roiChanged = true;
-    }
-
-    // 7. Handle EMI/Tenure adjustments based on changes
-    let emiChanged = false;
-
-    // If there's a net disbursement, recalculate EMI using OLD rate (tenure stays same)
-    if (netDisbursement > 0 && balance > 0.0001) {
-      const remainingMonths = targetRemainingMonths - monthCount;
-      if (remainingMonths > 0) {
-        const newEMI = calculateEMI(balance, oldMonthlyRate, remainingMonths); // Use OLD rate
-        if (newEMI > 0 && isFinite(newEMI)) {
-          currentEMI = newEMI;
-          emiChanged = true;
-        }
-      }
-    }
-
-    // Handle ROI change
-    if (roiChanged) {
-      if (emiChanged) {
-        // EMI already changed due to disbursement, now adjust tenure if needed
-        const calculatedMonths = calculateRemainingMonths(
-          balance,
-          currentEMI,
-          monthlyRate
-        );
-        if (isFinite(calculatedMonths)) {
-          targetRemainingMonths = monthCount + Math.ceil(calculatedMonths);
-        }
-      } else {
-        // Only ROI changed, recalculate tenure (EMI stays same)
-        const remainingMonths = calculateRemainingMonths(
-          balance,
-          currentEMI,
-          monthlyRate
-        );
-        if (isFinite(remainingMonths)) {
-          targetRemainingMonths = monthCount + Math.ceil(remainingMonths);
-        }
-      }
-    }
-
-    // Handle pure prepayment (negative net disbursement, no ROI change)
-    if (netDisbursement < 0 && !roiChanged && !emiChanged) {
-      const remainingMonths = calculateRemainingMonths(
-        balance,
-        currentEMI,
-        monthlyRate
-      );
-      if (isFinite(remainingMonths)) {
-        targetRemainingMonths = monthCount + Math.ceil(remainingMonths);
-      }
-    }
-
-    // Add month to schedule
-    schedule.push({
-      monthIndex: monthCount,
-      monthLabel: monthLabel,
-      emi: currentEMI,
-      interest: interest,
-      principal: principal,
-      disbursement: disbursement, // Keep original for display
-      prepayment: prepay, // Keep original for display
-      roiChange: roiMap.has(idxForInputs) ? roiMap.get(idxForInputs) : null,
-      balance: Math.max(balance, 0),
-    });
-
-    // Safety check
-    if (
-      Math.abs(principal) < 1e-12 &&
-      prepay === 0 &&
-      disbursement === 0 &&
-      balance > 0.0001
-    ) {
-      console.warn(
-        `Stopping at month ${monthCount}: No progress in reducing balance.`
-      );
-      break;
-    }
-  }
+  const result = simulateLoan(collectScenarioData());
+  const schedule = result.schedule;
+  result.warnings.forEach((w) => console.warn(w.message));
+  updatePreEmiFields(result.totals);
+  updateDayCountFields(result.totals);
+  updateFloatingRateFields(result.totals);
+  updateDelinquencyFields(result.totals);
+  updateChargesFields(result.totals);
 
   currentSchedule = schedule;
+  currentTotals = result.totals;
+  updateTaxFields();
+  renderMoratoriums();
   renderSchedule(schedule);
 
   // Update the chart with new data
   createAmortizationChart();
 
   // Update totals
-  const newTotalInterest = schedule.reduce(
-    (s, r) => s + Number(r.interest || 0),
-    0
-  );
+  const newTotalInterest = result.totals.totalInterest;
   const origTotalInterest =
     Number(String(origTotalInterestEl.value).replace(/,/g, "")) || 0;
   const saved = Math.max(0, origTotalInterest - newTotalInterest);
 
   interestSavedEl.value = toCurrency(saved);
   newTotalInterestEl.value = toCurrency(newTotalInterest);
-  totalDisbursementsEl.value = toCurrency(totalDisbursements);
+  totalDisbursementsEl.value = toCurrency(result.totals.totalDisbursements);
 
   // Calculate and display interest saved percentage
   const savedPercentage =
@@ -1165,10 +3602,8 @@ function applyUserChanges() {
   )}% vs original`;
   interestSavedPerEl.style.color = saved > 0 ? "#22c55e" : "#6b7280"; // Green if savings, gray if none
 
-  const completionMonthIndex = schedule.length;
-  completionDateEl.value = formatDate(
-    addMonths(new Date(), completionMonthIndex)
-  );
+  updateCompletionDate(schedule);
+  updateLoanStartFields(schedule);
 
   if (currentScenarioId && !loadedScenarioData) {
     currentScenarioId = null;
@@ -1179,6 +3614,7 @@ function applyUserChanges() {
   updateCompletionProgress();
   updateTotalLoanWithAll();
   scrollToCurrentMonth();
+  scheduleHistory();
 }
 
 /////////////////////// CSV export ///////////////////////
@@ -1195,8 +3631,15 @@ function downloadCSV() {
       "Principal",
       "Disbursement",
       "Prepayment",
+      "Recurring Prepayment",
+      "Extra Payment",
       "ROI Change",
       "Balance",
+      "EMI Paid",
+      "Paid On",
+      "Penal Charges",
+      "Overdue",
+      "Note",
     ],
   ];
   currentSchedule.forEach((r) => {
@@ -1208,8 +3651,48 @@ function downloadCSV() {
       (r.principal || 0).toFixed(2),
       (r.disbursement || 0).toFixed(2),
       (r.prepayment || 0).toFixed(2),
+      (r.recurringPrepayment || 0).toFixed(2),
+      (r.extraPayment || 0).toFixed(2),
       r.roiChange !== null && r.roiChange !== undefined ? r.roiChange : "",
       (r.balance || 0).toFixed(2),
+      r.emiPaid !== null && r.emiPaid !== undefined ? r.emiPaid : "",
+      r.paidDate || "",
+      ((r.penalInterest || 0) + (r.bounceCharge || 0)).toFixed(2),
+      (r.overdue || 0).toFixed(2),
+      eventNotes[r.month] || "",
+    ]);
+  });
+
+  // Yearly totals follow the monthly rows, by the year type on screen
+  // (financial year when the table is monthly)
+  const yearType =
+    scheduleViewEl.value === YEAR_CALENDAR ? YEAR_CALENDAR : YEAR_FINANCIAL;
+  rows.push([]);
+  rows.push([
+    yearType === YEAR_CALENDAR
+      ? "Yearly Summary (January-December)"
+      : "Yearly Summary (April-March)",
+  ]);
+  rows.push([
+    "Year",
+    "Months",
+    "EMI",
+    "Interest",
+    "Principal",
+    "Disbursement",
+    "Prepayment",
+    "Closing Balance",
+  ]);
+  aggregateByYear(currentSchedule, yearType).forEach((y) => {
+    rows.push([
+      y.label,
+      y.months,
+      y.emi.toFixed(2),
+      y.interest.toFixed(2),
+      y.principal.toFixed(2),
+      y.disbursement.toFixed(2),
+      y.prepayment.toFixed(2),
+      (y.closingBalance || 0).toFixed(2),
     ]);
   });
   const csvContent = rows
@@ -1226,13 +3709,373 @@ function downloadCSV() {
   URL.revokeObjectURL(url);
 }
 
+/////////////////////// Excel Export ///////////////////////
+
+function xlsxHeader(labels) {
+  return labels.map((label) => ({ value: label, style: "header" }));
+}
+
+function xlsxMoney(value, style) {
+  return { value: Number(value) || 0, style: style || "money" };
+}
+
+/** Cached total of a schedule sheet column (what SUM() will show). */
+function xlsxColumnTotal(rows, col) {
+  return rows
+    .slice(1)
+    .reduce((s, row) => s + ((row[col] && row[col].value) || 0), 0);
+}
+
+/**
+ * Monthly schedule sheet. Balances, the rate in force, interest and
+ * principal are formulas, so a changed disbursement, prepayment, ROI change
+ * or EMI flows down the sheet (EMIs stay as scheduled: the sheet does not
+ * re-amortise). Moratorium months keep the engine's figures; the last row
+ * holds SUM() totals.
+ */
+function xlsxScheduleSheet(schedule, data) {
+  const calendar = buildPaymentCalendar(data);
+  let rateInForce = Number(data.roiStart) || 0;
+  const rows = [
+    xlsxHeader([
+      "Sr No",
+      "Due Date",
+      "Opening Balance",
+      "Disbursement",
+      "Interest",
+      "Capitalised Interest",
+      "EMI",
+      "Principal",
+      "Prepayment",
+      "ROI Change",
+      "Rate",
+      "Closing Balance",
+      "EMI Paid",
+      "Paid On",
+      "Penal Charges",
+      "Overdue",
+      "Note",
+    ]),
+  ];
+  schedule.forEach((r, i) => {
+    const n = i + 2;
+    const prepay =
+      (r.prepayment || 0) +
+      (r.recurringPrepayment || 0) +
+      (r.extraPayment || 0);
+    // The first opening balance is worked back from the engine's row
+    const opening =
+      i === 0
+        ? xlsxMoney(
+            r.balance +
+              (r.principal || 0) +
+              prepay -
+              (r.disbursement || 0) -
+              (r.capitalisedInterest || 0)
+          )
+        : { ...xlsxMoney(schedule[i - 1].balance), formula: `L${n - 1}` };
+    // Rate in force: a ROI change applies from the month after its row
+    const rate = { value: rateInForce, style: "percent" };
+    if (i > 0) rate.formula = `IF(J${n - 1}="",K${n - 1},J${n - 1})`;
+    if (r.roiChange !== null && r.roiChange !== undefined) {
+      rateInForce = Number(r.roiChange);
+    }
+    const factor = calendar.periodFactor(r.monthIndex);
+    const interest = {
+      ...xlsxMoney(r.interest),
+      formula: `C${n}*K${n}/1200${
+        factor !== 1 ? `*${Number(factor.toFixed(10))}` : ""
+      }${r.brokenPeriodInterest > 0 ? `+${r.brokenPeriodInterest}` : ""}`,
+    };
+    // A principal the engine capped at the balance stays capped; holidays
+    // and an EMI below interest keep the engine's figure
+    const openingValue = opening.value + (r.capitalisedInterest || 0);
+    const principal = xlsxMoney(r.principal);
+    if (Math.abs(r.principal - openingValue) < 0.005 && r.principal > 0) {
+      principal.formula = `C${n}+F${n}`;
+    } else if (
+      !r.moratorium &&
+      Math.abs(r.emiDue - r.interest - r.principal) < 0.005
+    ) {
+      principal.formula = `MIN(C${n},G${n}-E${n})`;
+    }
+    rows.push([
+      { value: r.monthIndex, style: "integer" },
+      new Date(r.dueDate),
+      opening,
+      xlsxMoney(r.disbursement),
+      interest,
+      xlsxMoney(r.capitalisedInterest),
+      // What the month bills, before any re-amortisation on the row
+      xlsxMoney(r.emiDue),
+      principal,
+      xlsxMoney(prepay),
+      r.roiChange !== null && r.roiChange !== undefined
+        ? { value: Number(r.roiChange), style: "percent" }
+        : null,
+      rate,
+      {
+        ...xlsxMoney(r.balance),
+        formula: `MAX(0,C${n}+D${n}+F${n}-H${n}-I${n})`,
+      },
+      r.emiPaid !== null && r.emiPaid !== undefined
+        ? xlsxMoney(r.emiPaid)
+        : null,
+      r.paidDate ? fromDateInputValue(r.paidDate) : null,
+      xlsxMoney((r.penalInterest || 0) + (r.bounceCharge || 0)),
+      xlsxMoney(r.overdue),
+      eventNotes[r.month] || null,
+    ]);
+  });
+
+  const last = schedule.length + 1;
+  const total = (col) => ({
+    value: xlsxColumnTotal(rows, col),
+    formula: `SUM(${columnName(col)}2:${columnName(col)}${last})`,
+    style: "total",
+  });
+  rows.push([
+    { value: "Total", style: "header" },
+    null,
+    null,
+    total(3),
+    total(4),
+    total(5),
+    total(6),
+    total(7),
+    total(8),
+    null,
+    null,
+    null,
+    total(12),
+    null,
+    total(14),
+  ]);
+  return {
+    name: "Schedule",
+    columns: [7, 12, 16, 14, 14, 14, 14, 14, 14, 10, 8, 16, 14, 12, 12, 12, 30],
+    rows,
+    freezeRows: 1,
+  };
+}
+
+/**
+ * Yearly totals as SUM() over each year's schedule rows, by the year type
+ * on screen (financial year when the table is monthly).
+ */
+function xlsxYearlySheet(schedule, scheduleRows) {
+  const yearType =
+    scheduleViewEl.value === YEAR_CALENDAR ? YEAR_CALENDAR : YEAR_FINANCIAL;
+  const rows = [
+    xlsxHeader([
+      yearType === YEAR_CALENDAR ? "Calendar Year" : "Financial Year",
+      "Months",
+      "EMI",
+      "Interest",
+      "Principal",
+      "Disbursement",
+      "Prepayment",
+      "Closing Balance",
+    ]),
+  ];
+  aggregateByYear(schedule, yearType).forEach((y) => {
+    const first = y.firstIdx + 2;
+    const lastRow = y.lastIdx + 2;
+    const sum = (col) => ({
+      value: scheduleRows
+        .slice(first - 1, lastRow)
+        .reduce((s, row) => s + row[col].value, 0),
+      formula: `SUM(Schedule!${columnName(col)}${first}:${columnName(
+        col
+      )}${lastRow})`,
+      style: "money",
+    });
+    rows.push([
+      y.label,
+      { value: y.months, style: "integer" },
+      sum(6),
+      sum(4),
+      sum(7),
+      sum(3),
+      sum(8),
+      {
+        ...xlsxMoney(y.closingBalance),
+        formula: `Schedule!L${lastRow}`,
+      },
+    ]);
+  });
+  return {
+    name: "Yearly",
+    columns: [16, 8, 16, 16, 16, 16, 16, 16],
+    rows,
+    freezeRows: 1,
+  };
+}
+
+/** Every one-off event and note in the scenario, by calendar month. */
+function xlsxEventsSheet(data) {
+  const policyLabels = Object.fromEntries(ROI_POLICY_OPTIONS);
+  const events = [];
+  const add = (field, type, cell, detail) =>
+    Object.entries(data[field] || {}).forEach(([month, value]) =>
+      events.push({ month, type, cell: cell(value), detail: detail(month) })
+    );
+  add("disbursements", "Disbursement", xlsxMoney, () => null);
+  add("prepayments", "Prepayment", xlsxMoney, (month) =>
+    (data.prepaymentModes || {})[month] === PREPAY_REDUCE_EMI
+      ? "Reduce EMI"
+      : "Reduce tenure"
+  );
+  add(
+    "roiChanges",
+    "ROI change",
+    (value) => ({ value: Number(value), style: "percent" }),
+    (month) => policyLabels[(data.roiChangePolicies || {})[month] || ""]
+  );
+  add("emiPayments", "EMI paid (missed / partial)", xlsxMoney, () => null);
+  add(
+    "actualPayments",
+    "Payment",
+    (payment) => xlsxMoney(payment.amount),
+    (month) => `Paid on ${data.actualPayments[month].date}`
+  );
+  add(
+    "notes",
+    "Note",
+    () => null,
+    (month) => data.notes[month]
+  );
+  events.sort((a, b) => a.month.localeCompare(b.month));
+
+  const rows = [xlsxHeader(["Month", "Event", "Amount / Rate", "Detail"])];
+  events.forEach((event) => {
+    const [year, month] = event.month.split("-").map(Number);
+    rows.push([
+      { value: new Date(year, month - 1, 1), style: "month" },
+      event.type,
+      event.cell,
+      event.detail,
+    ]);
+  });
+  return { name: "Events", columns: [12, 28, 16, 40], rows, freezeRows: 1 };
+}
+
+/** Loan inputs, then headline results linked to the schedule sheet. */
+function xlsxInputsSheet(data, scheduleRows) {
+  const loanAmount = data.loanAmount;
+  // Schedule sheet: header, one row per EMI (sheet rows 2…months+1), totals
+  const months = scheduleRows.length - 2;
+  const rows = [
+    xlsxHeader(["Setting", "Value"]),
+    ["Scenario ID", currentScenarioId || "Not saved"],
+    ["Generated", new Date()],
+    ["Loan start date", loanStartDateValue()],
+    [
+      "EMI due day",
+      data.dayCount.emiDueDay
+        ? { value: data.dayCount.emiDueDay, style: "integer" }
+        : "Same day as the loan start",
+    ],
+    [
+      isPreEmiMode() ? "Sanctioned amount" : "Loan amount",
+      xlsxMoney(loanAmount),
+    ],
+    ["Initial interest rate", { value: data.roiStart, style: "percent" }],
+    ["Tenure (months)", { value: data.tenureMonths, style: "integer" }],
+    [
+      "Repayment structure",
+      describeRepaymentStructure(data.repaymentStructure),
+    ],
+    ["Interest calculation", describeDayCount(data.dayCount)],
+    [
+      "On ROI change",
+      describeRateResetPolicy(data.rateResetPolicy, data.tenureMonths),
+    ],
+    ["Charges", describeCharges(resolveCharges(data.charges, loanAmount))],
+    ["Effective rate", describeEffectiveRate(currentTotals)],
+  ];
+  if (isBenchmarkLinked()) {
+    rows.push(["Floating rate", describeFloatingRate(data.floatingRate)]);
+  }
+  recurringPrepayments.forEach((rule) =>
+    rows.push(["Recurring prepayment", describeRecurringRule(rule)])
+  );
+  moratoriums.forEach((range) =>
+    rows.push(["Moratorium", describeMoratorium(range)])
+  );
+
+  const totals = scheduleRows[months + 1];
+  rows.push(
+    [],
+    xlsxHeader(["Result", "Value"]),
+    [
+      "EMIs",
+      {
+        value: months,
+        formula: `COUNT(Schedule!A2:A${months + 1})`,
+        style: "integer",
+      },
+    ],
+    [
+      "Total interest",
+      {
+        value: totals[4].value,
+        formula: `Schedule!E${months + 2}`,
+        style: "money",
+      },
+    ],
+    [
+      "Total prepayments",
+      {
+        value: totals[8].value,
+        formula: `Schedule!I${months + 2}`,
+        style: "money",
+      },
+    ],
+    [
+      "Completion date",
+      { value: scheduleRows[months][1], formula: `Schedule!B${months + 1}` },
+    ]
+  );
+  return { name: "Inputs", columns: [24, 60], rows, freezeRows: 1 };
+}
+
+/**
+ * Excel workbook of the current plan: inputs, the monthly schedule with
+ * live formulas, yearly totals and the event list.
+ */
+function downloadXLSX() {
+  if (!currentSchedule || currentSchedule.length === 0)
+    return alert("Please generate the schedule first.");
+  const data = collectScenarioData();
+  const schedule = xlsxScheduleSheet(currentSchedule, data);
+  const bytes = buildXlsx([
+    xlsxInputsSheet(data, schedule.rows),
+    schedule,
+    xlsxYearlySheet(currentSchedule, schedule.rows),
+    xlsxEventsSheet(data),
+  ]);
+  const blob = new Blob([bytes], { type: XLSX_MIME });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `${currentScenarioId || "amortization_schedule"}.xlsx`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 /////////////////////// Helper Functions ///////////////////////
 /**
  * Calculate and update the total loan amount with all components
  * Formula: Principal + Additional Disbursements + New Total Interest
  */
 function updateTotalLoanWithAll() {
-  const principalAmount = Number(loanAmountEl.value) || 0;
+  // In Pre-EMI mode the loan amount is only sanctioned; count what's disbursed
+  const principalAmount = isPreEmiMode()
+    ? Number(preEmiInitialDisbursementEl.value) || 0
+    : Number(loanAmountEl.value) || 0;
 
   // Get the new total interest from the input field
   const newTotalInterest =
@@ -1246,9 +4089,15 @@ function updateTotalLoanWithAll() {
     }, 0);
   }
 
+  // Fees and insurance, whether paid upfront or financed
+  const charges = resolveCharges(
+    collectCharges(),
+    Number(loanAmountEl.value) || 0
+  );
+
   // Calculate total payable amount
   const totalLoanWithAll =
-    principalAmount + totalDisbursements + newTotalInterest;
+    principalAmount + totalDisbursements + newTotalInterest + charges.total;
 
   // Update the input field
   if (totalLoanWithAllEl) {
@@ -1266,7 +4115,10 @@ function updateTotalLoanWithAll() {
     totalLoanWithAllTextEl.innerHTML = `
       Total payable = Principal (₹${principalFormatted}) + 
       Additional Disbursements (₹${disbursementsFormatted}) + 
-      Interest (₹${interestFormatted}) = <strong>₹${totalFormatted}</strong>
+      Interest (₹${interestFormatted}) + 
+      Charges (₹${toCurrency(
+        charges.total
+      )}) = <strong>₹${totalFormatted}</strong>
     `;
   }
 }
@@ -1331,38 +4183,250 @@ function numberToWordsIndian(num) {
   const hundred = Math.floor(num / 100);
   num %= 100;
 
-  if (crore) str += inWords(crore) + " Crore ";
-  if (lakh) str += inWords(lakh) + " Lakh ";
-  if (thousand) str += inWords(thousand) + " Thousand ";
-  if (hundred) str += inWords(hundred) + " Hundred ";
-  if (num > 0) str += inWords(num) + " ";
+  if (crore) str += inWords(crore) + " Crore ";
+  if (lakh) str += inWords(lakh) + " Lakh ";
+  if (thousand) str += inWords(thousand) + " Thousand ";
+  if (hundred) str += inWords(hundred) + " Hundred ";
+  if (num > 0) str += inWords(num) + " ";
+
+  return str.trim();
+}
+
+function updateLoanAmountWords() {
+  const value = Number(loanAmountEl.value);
+  const wordsEl = document.querySelector(".loanAmountWords");
+
+  if (isNaN(value) || value <= 0) {
+    wordsEl.textContent = "Enter principal amount.";
+  } else {
+    const formatted = toCurrency(value);
+    const inWords = numberToWordsIndian(value);
+    wordsEl.textContent = `₹ ${formatted} (${inWords} Rupees)`;
+  }
+}
+
+function updateTenureWords() {
+  const months = Number(tenureEl.value);
+  const wordsEl = document.querySelector(".tenureYearsWords");
+
+  if (isNaN(months) || months <= 0) {
+    wordsEl.textContent = "Enter tenure in months.";
+  } else {
+    const years = (months / 12).toFixed(1);
+    wordsEl.textContent = `⏰ ${years} years`;
+  }
+}
+
+function describeRepaymentStructure(structure) {
+  const step = Number(structure.stepPercent) || 0;
+  if (structure.type === STRUCTURE_STEP_UP && step > 0) {
+    return `Step-up EMI (+${step}% every year)`;
+  }
+  if (structure.type === STRUCTURE_STEP_DOWN && step > 0) {
+    return `Step-down EMI (−${step}% every year)`;
+  }
+  return "Flat EMI (equated)";
+}
+
+function updateStructureFields() {
+  const isStepped = repaymentStructureEl.value !== STRUCTURE_FLAT;
+  stepPercentRowEl.hidden = !isStepped;
+  structureWordsEl.textContent = isStepped
+    ? `${describeRepaymentStructure({
+        type: repaymentStructureEl.value,
+        stepPercent: stepPercentEl.value,
+      })}. Click Generate to apply.`
+    : "Same EMI every month";
+}
+
+/**
+ * Fill the repayment structure inputs from a saved scenario (flat if missing).
+ */
+function applyRepaymentStructure(structure) {
+  const st = structure || {};
+  repaymentStructureEl.value = st.type || STRUCTURE_FLAT;
+  stepPercentEl.value = st.stepPercent !== undefined ? st.stepPercent : 5;
+  updateStructureFields();
+}
+
+function isPreEmiMode() {
+  return preEmiModeEl.value === "pre-emi";
+}
+
+/**
+ * Show/hide the Pre-EMI inputs; `totals` (from simulateLoan) fills in when
+ * full EMI actually starts.
+ */
+function updatePreEmiFields(totals) {
+  const enabled = isPreEmiMode();
+  preEmiFieldsEl.hidden = !enabled;
+
+  if (!enabled) {
+    preEmiWordsEl.textContent =
+      "EMI on the full loan amount from the first month";
+  } else if (totals) {
+    preEmiWordsEl.textContent = `Interest only for ${
+      totals.preEmiMonths
+    } months (₹${toCurrency(
+      totals.preEmiInterest
+    )}); full EMI from ${formatMonthKey(totals.emiStartMonth)}`;
+  } else {
+    preEmiWordsEl.textContent =
+      "Loan amount is the sanctioned amount; add tranches in the Loan Disbursement column";
+  }
+}
+
+/**
+ * Fill the Pre-EMI inputs from a saved scenario (full EMI if missing).
+ */
+function applyPreEmiSettings(preEmi) {
+  const p = preEmi || {};
+  preEmiModeEl.value = p.enabled ? "pre-emi" : "full";
+  preEmiInitialDisbursementEl.value = p.initialDisbursement || 0;
+  preEmiStartMonthEl.value = p.emiStartMonth || "";
+  updatePreEmiFields();
+}
+
+/////////////////////// Loan Start ///////////////////////
+
+/** Loan start date from its input; today when it is empty. */
+function loanStartDateValue() {
+  const date = fromDateInputValue(loanStartDateEl.value);
+  if (date) return date;
+  const today = new Date();
+  return new Date(today.getFullYear(), today.getMonth(), today.getDate());
+}
+
+/**
+ * Fill the start date input from a saved date (today if missing or invalid).
+ */
+function applyLoanStartDate(value) {
+  const date = new Date(value || Date.now());
+  loanStartDateEl.value = toDateInputValue(
+    isNaN(date.getTime()) ? new Date() : date
+  );
+  updateLoanStartFields();
+}
+
+/** Start date hint: first EMI and how many have fallen due by today. */
+function updateLoanStartFields(schedule) {
+  if (!schedule || schedule.length === 0) {
+    loanStartWordsEl.textContent = "Click Generate to apply.";
+    return;
+  }
+  const now = Date.now();
+  const due = schedule.filter(
+    (row) => new Date(row.dueDate).getTime() <= now
+  ).length;
+  loanStartWordsEl.textContent = `First EMI on ${schedule[0].monthLabel}; ${due} of ${schedule.length} due by today`;
+}
+
+function updateCompletionDate(schedule) {
+  const lastRow = schedule[schedule.length - 1];
+  completionDateEl.value = lastRow ? formatDate(lastRow.dueDate) : "";
+}
 
-  return str.trim();
+/**
+ * Rebuild the schedule for a new start date or EMI due day. One-off events
+ * and payments stay on their calendar months; those now outside the loan
+ * are dropped.
+ */
+function changeLoanStart() {
+  const events = collectScenarioData();
+  generateBaseline();
+  applyScenarioEvents(events);
+  applyUserChanges();
 }
 
-function updateLoanAmountWords() {
-  const value = Number(loanAmountEl.value);
-  const wordsEl = document.querySelector(".loanAmountWords");
+// Labels for the DAY_COUNT_* conventions
+const DAY_COUNT_LABELS = {
+  [DAY_COUNT_30_360]: "Monthly (30/360)",
+  [DAY_COUNT_ACTUAL_365]: "Actual/365",
+  [DAY_COUNT_ACTUAL_ACTUAL]: "Actual/Actual",
+};
+
+function describeDayCount(dayCount) {
+  const label =
+    DAY_COUNT_LABELS[dayCount.convention] || DAY_COUNT_LABELS[DAY_COUNT_30_360];
+  return dayCount.emiDueDay
+    ? `${label}, EMI due on day ${dayCount.emiDueDay}`
+    : label;
+}
 
-  if (isNaN(value) || value <= 0) {
-    wordsEl.textContent = "Enter principal amount.";
-  } else {
-    const formatted = toCurrency(value);
-    const inWords = numberToWordsIndian(value);
-    wordsEl.textContent = `₹ ${formatted} (${inWords} Rupees)`;
+/**
+ * Day-count hint; `totals` (from the engine) adds the broken-period
+ * interest charged with the first EMI.
+ */
+function updateDayCountFields(totals) {
+  const convention = dayCountConventionEl.value;
+  let words =
+    convention === DAY_COUNT_30_360
+      ? "Every month is 1/12 of a year"
+      : "Interest on the actual days in each month";
+  if (totals && totals.brokenPeriodInterest > 0) {
+    words += `; broken period ₹${toCurrency(
+      totals.brokenPeriodInterest
+    )} with the first EMI`;
+  } else if (!totals) {
+    words += ". Click Generate to apply.";
   }
+  dayCountWordsEl.textContent = words;
 }
 
-function updateTenureWords() {
-  const months = Number(tenureEl.value);
-  const wordsEl = document.querySelector(".tenureYearsWords");
+/**
+ * Fill the day-count inputs from a saved scenario (30/360, no due day if
+ * missing).
+ */
+function applyDayCountSettings(dayCount) {
+  const dc = dayCount || {};
+  dayCountConventionEl.value = DAY_COUNT_CONVENTIONS.includes(dc.convention)
+    ? dc.convention
+    : DAY_COUNT_30_360;
+  emiDueDayEl.value = dc.emiDueDay || "";
+  updateDayCountFields();
+}
 
-  if (isNaN(months) || months <= 0) {
-    wordsEl.textContent = "Enter tenure in months.";
-  } else {
-    const years = (months / 12).toFixed(1);
-    wordsEl.textContent = `⏰ ${years} years`;
+function describeRateResetPolicy(policy, tenure) {
+  if (policy.mode === RATE_RESET_KEEP_TENURE) {
+    return "Keep tenure, change EMI";
+  }
+  if (policy.mode === RATE_RESET_HYBRID) {
+    const cap = resolveTenureCap(policy, tenure);
+    return `Extend tenure up to ${cap} months (${(cap / 12).toFixed(
+      1
+    )} years), then raise EMI`;
   }
+  return "Keep EMI, change tenure";
+}
+
+function updateRateResetFields() {
+  const isHybrid = rateResetPolicyEl.value === RATE_RESET_HYBRID;
+  tenureCapFieldsEl.hidden = !isHybrid;
+  tenureCapFieldsEl.querySelectorAll(".tenure-cap-row").forEach((row) => {
+    row.hidden = row.getAttribute("data-cap-type") !== tenureCapTypeEl.value;
+  });
+
+  const tenure = parseInt(tenureEl.value) || 0;
+  rateResetWordsEl.textContent = isHybrid
+    ? `${describeRateResetPolicy(
+        collectRateResetPolicy(),
+        tenure
+      )}. Can be overridden per ROI change.`
+    : "Can be overridden on each ROI change in the table";
+}
+
+/**
+ * Fill the rate reset inputs from a saved policy (defaults when missing).
+ */
+function applyRateResetPolicy(policy) {
+  const p = policy || {};
+  rateResetPolicyEl.value = p.mode || RATE_RESET_KEEP_EMI;
+  tenureCapTypeEl.value = p.capType || TENURE_CAP_EXTENSION;
+  tenureCapExtensionYearsEl.value =
+    p.extensionYears !== undefined ? p.extensionYears : 5;
+  borrowerAgeEl.value = p.borrowerAge || 35;
+  tenureCapMaxAgeEl.value = p.maxAge || 70;
+  updateRateResetFields();
 }
 
 function updateStatsBar() {
@@ -1371,10 +4435,10 @@ function updateStatsBar() {
     currentRoiEl.textContent = "0%";
     currentOutstandingEl.textContent = "₹0";
     monthsRemainingEl.textContent = "0";
+    delinquencyCostEl.textContent = "₹0";
     return;
   }
 
-  const firstMonth = currentSchedule[0];
   const lastMonth = currentSchedule[currentSchedule.length - 1];
 
   // Get current ROI (check for any ROI changes or use initial)
@@ -1389,37 +4453,23 @@ function updateStatsBar() {
   // Use the last month's EMI as the current EMI
   monthlyEMIEl.textContent = `₹${toCurrency(lastMonth.emi)}`;
   currentRoiEl.textContent = `${currentROI}%`;
-  // Outstanding should be the balance from the first month (current outstanding)
-  currentOutstandingEl.textContent = `₹${toCurrency(firstMonth.balance)}`;
-
-  // Format loan start month - use today's date if loanStartDate doesn't exist
-  // Calculate EMIs already paid and remaining
-  let emisPaid = 0;
-  let emisLeft = currentSchedule.length;
-
-  if (loanStartDate) {
-    const startDate = new Date(loanStartDate);
-    const today = new Date();
-
-    // Calculate months between start date and today
-    const yearsDiff = today.getFullYear() - startDate.getFullYear();
-    const monthsDiff = today.getMonth() - startDate.getMonth();
-    emisPaid = Math.max(0, yearsDiff * 12 + monthsDiff);
-
-    // EMIs left = total schedule length - EMIs already paid
-    emisLeft = Math.max(0, currentSchedule.length - emisPaid);
-  }
+  // Outstanding, EMIs paid and left come from the rows marked paid
+  const progress = paymentProgress(currentSchedule, currentTotals, new Date());
+  currentOutstandingEl.textContent = `₹${toCurrency(progress.outstanding)}`;
+  const emisLeft = progress.emisLeft;
 
   // Format loan start month
-  const startLabel = loanStartDate
-    ? new Date(loanStartDate).toLocaleDateString("en-GB", {
-        month: "short",
-        year: "numeric",
-      })
-    : new Date().toLocaleDateString("en-GB", {
-        month: "short",
-        year: "numeric",
-      });
+  const startLabel = loanStartDateValue().toLocaleDateString("en-GB", {
+    month: "short",
+    year: "numeric",
+  });
+
+  // Penal interest and bounce charges from missed / partial EMIs
+  const delinquencyCost = currentSchedule.reduce(
+    (s, r) => s + Number(r.penalInterest || 0) + Number(r.bounceCharge || 0),
+    0
+  );
+  delinquencyCostEl.textContent = `₹${toCurrency(delinquencyCost)}`;
 
   monthsRemainingEl.innerHTML = `
     <div style="display:flex; align-items:center; justify-content:center; gap:8px; font-weight:600;">
@@ -1428,6 +4478,15 @@ function updateStatsBar() {
       <span>${emisLeft} Left</span>
     </div>
   `;
+  monthsRemainingEl.title = progress.planned
+    ? `No EMIs marked paid; the ${progress.paidEmis} due by today are counted as paid to plan`
+    : progress.paidEmis > 0
+    ? `${progress.paidEmis} EMI${
+        progress.paidEmis === 1 ? "" : "s"
+      } marked paid (₹${toCurrency(progress.amountPaid)}), last on ${
+        progress.lastPaidDate
+      }`
+    : "No EMIs marked paid yet; tick Paid in the last table column";
 
   updateCompletionProgress();
 }
@@ -1456,8 +4515,12 @@ function updateCompletionProgress() {
     return;
   }
 
-  // Get current outstanding balance (from the first month of current schedule)
-  const currentOutstanding = currentSchedule[0]?.balance || 0;
+  // Outstanding balance after the last EMI marked paid (or due by today)
+  const currentOutstanding = paymentProgress(
+    currentSchedule,
+    currentTotals,
+    new Date()
+  ).outstanding;
 
   // Calculate how much has been paid off
   const amountPaidOff = originalLoanAmount - currentOutstanding;
@@ -1550,6 +4613,108 @@ downloadCsvBtn.addEventListener("click", (e) => {
   downloadCSV();
 });
 
+downloadXlsxBtn.addEventListener("click", (e) => {
+  e.preventDefault();
+  downloadXLSX();
+});
+
+scheduleViewEl.addEventListener("change", changeScheduleView);
+
+saveToLibraryBtnEl.addEventListener("click", saveToLibrary);
+saveAsNewToLibraryBtnEl.addEventListener("click", saveAsNewToLibrary);
+librarySearchEl.addEventListener("input", () => renderLibrary());
+librarySortEl.addEventListener("change", () => renderLibrary());
+
+compareCurrentBtnEl.addEventListener("click", compareCurrentScenario);
+compareFileInputEl.addEventListener("change", handleComparisonFiles);
+clearComparisonBtnEl.addEventListener("click", clearComparison);
+amortTableBody.addEventListener("click", (e) => {
+  const noteButton = e.target.closest(".note-btn");
+  if (noteButton) {
+    editEventNote(noteButton.dataset.month);
+    return;
+  }
+  const header = e.target.closest("tr.year-header");
+  if (header) toggleYear(header.dataset.year);
+});
+
+// Spreadsheet-style editing of the disbursement, prepayment and ROI cells
+amortTableBody.addEventListener("focusin", (e) => {
+  const cell = gridCellOf(e.target);
+  if (!cell) return;
+  const { focus } = gridSelection || {};
+  if (focus && focus.row === cell.row && focus.col === cell.col) return;
+  gridSelection = { anchor: cell, focus: cell };
+  renderGridSelection();
+});
+
+amortTableBody.addEventListener("mousedown", (e) => {
+  const cell = gridCellOf(e.target);
+  if (!cell) return;
+  if (e.shiftKey && gridSelection) {
+    e.preventDefault();
+    gridSelection.focus = cell;
+    renderGridSelection();
+    gridInput(cell).focus();
+    return;
+  }
+  gridDragging = true;
+});
+
+amortTableBody.addEventListener("mouseover", (e) => {
+  if (!gridDragging || !gridSelection) return;
+  const cell = gridCellOf(e.target);
+  if (!cell) return;
+  gridSelection.focus = cell;
+  renderGridSelection();
+});
+
+document.addEventListener("mouseup", () => {
+  gridDragging = false;
+});
+
+amortTableBody.addEventListener("keydown", (e) => {
+  if (!gridCellOf(e.target)) return;
+  const steps = {
+    ArrowUp: [-1, 0],
+    ArrowDown: [1, 0],
+    ArrowLeft: [0, -1],
+    ArrowRight: [0, 1],
+  };
+  if (steps[e.key] && !e.ctrlKey && !e.altKey) {
+    e.preventDefault();
+    moveGridFocus(...steps[e.key], e.shiftKey);
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    moveGridFocus(e.shiftKey ? -1 : 1, 0, false);
+  } else if (e.ctrlKey && e.key.toLowerCase() === "d") {
+    e.preventDefault();
+    fillGridDown();
+  } else if (
+    (e.key === "Delete" || e.key === "Backspace") &&
+    gridRangeInputs().flat().length > 1
+  ) {
+    e.preventDefault();
+    clearGridRange();
+  }
+});
+
+amortTableBody.addEventListener("copy", (e) => {
+  if (!gridCellOf(e.target) || gridRangeInputs().flat().length < 2) return;
+  e.preventDefault();
+  e.clipboardData.setData("text/plain", gridRangeText());
+});
+
+amortTableBody.addEventListener("paste", (e) => {
+  if (!gridCellOf(e.target)) return;
+  const text = e.clipboardData.getData("text/plain");
+  if (!/[\t\n]/.test(text.trim()) && gridRangeInputs().flat().length < 2) {
+    return;
+  }
+  e.preventDefault();
+  pasteGridBlock(text);
+});
+
 resetBtn.addEventListener("click", (e) => {
   e.preventDefault();
   const confirmReset = confirm(
@@ -1560,18 +4725,36 @@ resetBtn.addEventListener("click", (e) => {
   loanAmountEl.value = 1000000;
   roiStartEl.value = 7.5;
   tenureEl.value = 60;
+  applyRepaymentStructure(null);
+  applyPreEmiSettings(null);
+  applyDayCountSettings(null);
+  applyRateResetPolicy(null);
+  applyFloatingRateSettings(null);
+  applyDelinquencySettings(null);
+  applyChargesSettings(null);
+  applyTaxSettings(null);
+  recurringPrepayments = [];
+  renderRecurringRules();
+  moratoriums = [];
+  renderMoratoriums();
+  eventNotes = {};
   updateLoanAmountWords();
 
-  // ensure a fresh loan uses today's date
-  loanStartDate = new Date().toISOString();
+  // A fresh loan starts today
+  applyLoanStartDate(null);
 
   currentScenarioId = null;
   currentScenarioIdEl.value = "Not saved yet";
   loadedScenarioIdEl.value = "None loaded";
   loadedScenarioData = null;
+  libraryScenarioId = null;
+  libraryNameEl.value = "";
+  libraryTagsEl.value = "";
+  renderLibrary();
   loadFileInputEl.value = "";
   loadScenarioBtnEl.disabled = true;
 
+  historyLabel = "Reset to defaults";
   generateBaseline();
 });
 
@@ -1582,16 +4765,110 @@ saveScenarioBtnEl.addEventListener("click", (e) => {
 });
 
 loadFileInputEl.addEventListener("change", handleFileSelection);
+copyLinkBtnEl.addEventListener("click", copyScenarioLink);
+window.addEventListener("hashchange", openScenarioLink);
 
 loadScenarioBtnEl.addEventListener("click", (e) => {
   e.preventDefault();
   loadScenario();
 });
 
+benchmarkFileInputEl.addEventListener("change", handleBenchmarkFile);
+importFileInputEl.addEventListener("change", handleImportFile);
+Object.values(importColumnEls).forEach((el) =>
+  el.addEventListener("change", renderImportPreview)
+);
+importApplyBtnEl.addEventListener("click", applyEventImport);
+importCancelBtnEl.addEventListener("click", cancelEventImport);
+
+// Penal charges only price the recorded shortfalls, so re-apply directly
+[penalRateEl, bounceChargeEl].forEach((input) => {
+  input.addEventListener("change", () => applyUserChanges());
+});
+
+// Benchmark settings only move ROI changes, so re-apply directly
+[
+  floatingRateModeEl,
+  benchmarkSpreadEl,
+  benchmarkResetFrequencyEl,
+  benchmarkResetLagEl,
+].forEach((input) => {
+  input.addEventListener("change", () => {
+    updateFloatingRateFields();
+    applyUserChanges();
+  });
+});
+
+addMoratoriumBtnEl.addEventListener("click", (e) => {
+  e.preventDefault();
+  addMoratorium();
+});
+
+addRecurringBtnEl.addEventListener("click", (e) => {
+  e.preventDefault();
+  addRecurringRule();
+});
+
+// Rate reset policy changes only affect ROI changes, so re-apply directly
+[
+  rateResetPolicyEl,
+  tenureCapTypeEl,
+  tenureCapExtensionYearsEl,
+  borrowerAgeEl,
+  tenureCapMaxAgeEl,
+].forEach((input) => {
+  input.addEventListener("change", () => {
+    updateRateResetFields();
+    applyUserChanges();
+  });
+});
+
+// Pre-EMI works on the table's tranches, so re-apply directly
+[preEmiModeEl, preEmiInitialDisbursementEl, preEmiStartMonthEl].forEach(
+  (input) => {
+    input.addEventListener("change", () => {
+      updatePreEmiFields();
+      applyUserChanges();
+    });
+  }
+);
+
+// Repayment structure shapes the baseline, so it applies on Generate
+repaymentStructureEl.addEventListener("change", updateStructureFields);
+stepPercentEl.addEventListener("input", updateStructureFields);
+
+// So do the day count and the charges
+dayCountConventionEl.addEventListener("change", () => updateDayCountFields());
+emiDueDayEl.addEventListener("input", () => updateDayCountFields());
+emiDueDayEl.addEventListener("change", changeLoanStart);
+loanStartDateEl.addEventListener("change", changeLoanStart);
+[
+  processingFeeEl,
+  processingFeeTypeEl,
+  legalChargesEl,
+  valuationChargesEl,
+  insurancePremiumEl,
+  insuranceFinancedEl,
+].forEach((input) => {
+  input.addEventListener("change", () => updateChargesFields());
+});
+
+// Tax benefits only post-process the schedule, so they update right away
+[
+  taxRegimeEl,
+  taxSlabRateEl,
+  taxInterestCapEl,
+  taxPrincipalCapEl,
+  taxOther80CEl,
+].forEach((input) => {
+  input.addEventListener("change", updateTaxFields);
+});
+
 // Update loan amount words dynamically
 loanAmountEl.addEventListener("input", updateLoanAmountWords);
 // Update tenure words dynamically
 tenureEl.addEventListener("input", updateTenureWords);
+tenureEl.addEventListener("input", updateRateResetFields);
 
 // Validation for disbursement inputs
 document.addEventListener("blur", (e) => {
@@ -1599,6 +4876,13 @@ document.addEventListener("blur", (e) => {
     validateDisbursementInput(e.target);
   }
 
+  if (e.target.classList.contains("emi-paid-input")) {
+    if (Number(e.target.value) < 0) {
+      e.target.value = 0;
+      showInputWarning(e.target, "Amount paid cannot be negative.");
+    }
+  }
+
   if (e.target.classList.contains("prepay-input")) {
     const value = Number(e.target.value);
     if (value < 0) {
@@ -1623,12 +4907,37 @@ document.addEventListener("blur", (e) => {
   }
 });
 
+// Marking an EMI paid fills in the amount due and the due date, ready to
+// be corrected; unmarking clears them
+document.addEventListener("change", (e) => {
+  if (!e.target.classList.contains("paid-input")) return;
+  const cell = e.target.closest("td");
+  const amountInput = cell.querySelector(".emi-paid-input");
+  const dateInput = cell.querySelector(".paid-date-input");
+  const row = currentSchedule[e.target.getAttribute("data-idx")];
+  if (e.target.checked && row) {
+    if (amountInput.value.trim() === "") {
+      amountInput.value = (Math.round(row.emiDue * 100) / 100).toFixed(2);
+    }
+    if (!dateInput.value) dateInput.value = toDateInputValue(row.dueDate);
+  } else {
+    amountInput.value = "";
+    dateInput.value = "";
+  }
+  dateInput.hidden = !e.target.checked;
+});
+
 // Auto-apply changes when user modifies inputs
 document.addEventListener("input", (e) => {
   if (
     e.target.classList.contains("disbursement-input") ||
     e.target.classList.contains("prepay-input") ||
-    e.target.classList.contains("roi-input")
+    e.target.classList.contains("prepay-mode-input") ||
+    e.target.classList.contains("roi-input") ||
+    e.target.classList.contains("roi-policy-input") ||
+    e.target.classList.contains("emi-paid-input") ||
+    e.target.classList.contains("paid-input") ||
+    e.target.classList.contains("paid-date-input")
   ) {
     clearTimeout(window.autoApplyTimeout);
     window.autoApplyTimeout = setTimeout(() => {
@@ -1638,15 +4947,54 @@ document.addEventListener("input", (e) => {
 });
 
 // Track changes for scenario saving
-[loanAmountEl, roiStartEl, tenureEl].forEach((input) => {
+[
+  loanAmountEl,
+  roiStartEl,
+  tenureEl,
+  repaymentStructureEl,
+  stepPercentEl,
+  preEmiModeEl,
+  preEmiInitialDisbursementEl,
+  preEmiStartMonthEl,
+  loanStartDateEl,
+  dayCountConventionEl,
+  emiDueDayEl,
+  rateResetPolicyEl,
+  tenureCapTypeEl,
+  tenureCapExtensionYearsEl,
+  borrowerAgeEl,
+  tenureCapMaxAgeEl,
+  floatingRateModeEl,
+  benchmarkSpreadEl,
+  benchmarkResetFrequencyEl,
+  benchmarkResetLagEl,
+  benchmarkFileInputEl,
+  penalRateEl,
+  bounceChargeEl,
+  processingFeeEl,
+  processingFeeTypeEl,
+  legalChargesEl,
+  valuationChargesEl,
+  insurancePremiumEl,
+  insuranceFinancedEl,
+  taxRegimeEl,
+  taxSlabRateEl,
+  taxInterestCapEl,
+  taxPrincipalCapEl,
+  taxOther80CEl,
+].forEach((input) => {
   input.addEventListener("change", () => {
     if (currentScenarioId) {
       currentScenarioIdEl.value = "Modified (not saved)";
       currentScenarioId = null;
     }
+    scheduleHistory();
   });
 });
 
+undoBtnEl.addEventListener("click", undo);
+redoBtnEl.addEventListener("click", redo);
+
 // Keyboard shortcuts
 document.addEventListener("keydown", (e) => {
   if (e.ctrlKey && e.key === "s") {
@@ -1663,6 +5011,29 @@ document.addEventListener("keydown", (e) => {
     e.preventDefault();
     resetBtn.click();
   }
+
+  // Form fields keep the browser's own undo; the schedule table uses ours
+  const field = e.target;
+  if (
+    field instanceof Element &&
+    (field.matches("input, textarea, select") || field.isContentEditable) &&
+    !amortTableBody.contains(field)
+  ) {
+    return;
+  }
+
+  if (e.ctrlKey && e.key.toLowerCase() === "z" && !e.shiftKey) {
+    e.preventDefault();
+    undo();
+  }
+
+  if (
+    e.ctrlKey &&
+    (e.key === "y" || (e.shiftKey && e.key.toLowerCase() === "z"))
+  ) {
+    e.preventDefault();
+    redo();
+  }
 });
 
 // Auto-hide scroll navigation functionality
@@ -1727,11 +5098,21 @@ function initAutoHideScrollNav() {
 // Initialize on page load
 window.addEventListener("load", () => {
   loadUserPreferences();
+  if (!loanStartDateEl.value) applyLoanStartDate(null);
   updateTenureWords();
+  updateStructureFields();
+  updatePreEmiFields();
+  updateRateResetFields();
+  updateFloatingRateFields();
+  renderRecurringRules();
+  renderMoratoriums();
+  renderComparison();
+  refreshLibrary();
   generateBaseline();
 
   // Initialize collapsed panels
   togglePanel("load-scenario");
+  togglePanel("compare-scenarios");
 
   // Add tooltips
   document.querySelectorAll(".disbursement-input").forEach((input) => {
@@ -1741,6 +5122,9 @@ window.addEventListener("load", () => {
 
   // Initialize auto-hide scroll navigation
   initAutoHideScrollNav();
+
+  // Opened from a shared scenario link
+  openScenarioLink();
 });
 
 /////////////////////// Summary Report Function ///////////////////////
@@ -1759,7 +5143,8 @@ function generateSummaryReport() {
     0
   );
   const totalPrepayments = currentSchedule.reduce(
-    (s, r) => s + Number(r.prepayment || 0),
+    (s, r) =>
+      s + Number(r.prepayment || 0) + Number(r.recurringPrepayment || 0),
     0
   );
   const totalDisbursements = currentSchedule.reduce(
@@ -1768,6 +5153,95 @@ function generateSummaryReport() {
   );
   const interestSaved =
     Number(String(interestSavedEl.value).replace(/,/g, "")) || 0;
+  const brokenPeriodInterest = currentSchedule.reduce(
+    (s, r) => s + Number(r.brokenPeriodInterest || 0),
+    0
+  );
+  const moratoriumLines = moratoriums
+    .map((range) => {
+      const cost = moratoriumCostOf(range);
+      return `• Moratorium: ${describeMoratorium(range)}${
+        cost !== null ? ` (extra interest ₹${toCurrency(cost)})` : ""
+      }\n`;
+    })
+    .join("");
+  const missedRows = currentSchedule.filter((r) => r.shortfall > 0);
+  const penalInterest = currentSchedule.reduce(
+    (s, r) => s + Number(r.penalInterest || 0),
+    0
+  );
+  const bounceCharges = currentSchedule.reduce(
+    (s, r) => s + Number(r.bounceCharge || 0),
+    0
+  );
+  const lastRow = currentSchedule[currentSchedule.length - 1];
+  const delinquencyLine =
+    missedRows.length > 0
+      ? `• Missed/Partial EMIs: ${
+          missedRows.length
+        } (penal interest ₹${toCurrency(
+          penalInterest
+        )}, bounce charges ₹${toCurrency(
+          bounceCharges
+        )}, total cost ₹${toCurrency(penalInterest + bounceCharges)}${
+          lastRow.overdue > 0.005
+            ? `; ₹${toCurrency(lastRow.overdue)} still overdue at close`
+            : ""
+        })\n`
+      : "";
+  const progress = paymentProgress(currentSchedule, currentTotals);
+  const actualsLine =
+    progress.paidEmis > 0
+      ? `• EMIs Actually Paid: ${progress.paidEmis} (₹${toCurrency(
+          progress.amountPaid
+        )}, last on ${progress.lastPaidDate}); outstanding ₹${toCurrency(
+          progress.outstanding
+        )}, ${progress.emisLeft} EMIs left\n`
+      : "";
+  const floatingRateLine = isBenchmarkLinked()
+    ? `• Floating Rate: ${describeFloatingRate(collectFloatingRate())} (${
+        currentSchedule.filter((r) => r.roiDerived).length
+      } resets)\n`
+    : "";
+  const preEmiRows = currentSchedule.filter((r) => r.preEmi);
+  const preEmiLine = isPreEmiMode()
+    ? `• Pre-EMI: ${preEmiRows.length} months interest-only, ₹${toCurrency(
+        preEmiRows.reduce((s, r) => s + Number(r.interest || 0), 0)
+      )} pre-EMI interest\n`
+    : "";
+  const notedRows = currentSchedule.filter((r) => eventNotes[r.month]);
+  const notesSection =
+    notedRows.length > 0
+      ? `
+NOTES:
+${notedRows.map((r) => `• ${r.monthLabel}: ${eventNotes[r.month]}\n`).join("")}`
+      : "";
+  const taxBenefits = currentTaxBenefits();
+  let taxSection = "";
+  if (taxBenefits) {
+    const postTaxRate = postTaxEffectiveRate(
+      currentSchedule,
+      collectScenarioData(),
+      taxBenefits
+    );
+    taxSection = `
+TAX BENEFITS (${describeTax(collectTax())}):
+${taxBenefits.years
+  .map(
+    (year) =>
+      `• ${year.label}: interest ₹${toCurrency(
+        year.interest + year.preConstruction
+      )}, principal ₹${toCurrency(year.principal)} → deduction ₹${toCurrency(
+        year.interestDeduction + year.principalDeduction
+      )}, tax saved ₹${toCurrency(year.taxSaved)}\n`
+  )
+  .join("")}• Total Tax Saved: ₹${toCurrency(taxBenefits.totalTaxSaved)}
+• Post-tax Interest Cost: ₹${toCurrency(taxBenefits.postTaxInterest)}
+• Post-tax Effective Rate: ${
+      postTaxRate === null ? "unavailable" : `${postTaxRate.toFixed(2)}%`
+    }
+`;
+  }
 
   const report = `
 LOAN AMORTIZATION SUMMARY REPORT
@@ -1775,32 +5249,47 @@ Generated: ${new Date().toLocaleString()}
 ${currentScenarioId ? `Scenario ID: ${currentScenarioId}` : ""}
 
 LOAN DETAILS:
-• Loan Start Date: ${
-    loanStartDate
-      ? new Date(loanStartDate).toLocaleDateString("en-GB", {
-          month: "short",
-          year: "numeric",
-        })
-      : "Not set"
-  }
-• Principal Amount: ₹${toCurrency(loanAmount)}
-• Initial Interest Rate: ${roiStart}% per annum
+• Loan Start Date: ${formatDate(loanStartDateValue())}
+• ${isPreEmiMode() ? "Sanctioned" : "Principal"} Amount: ₹${toCurrency(
+    loanAmount
+  )}
+• Initial Interest Rate: ${roiStart}% per annum (${describeEffectiveRate(
+    currentTotals
+  )})
+• Charges: ${describeCharges(resolveCharges(collectCharges(), loanAmount))}
 • Original Tenure: ${tenure} months
-
+${preEmiLine}• Interest Calculation: ${describeDayCount(
+    collectScenarioData().dayCount
+  )}${
+    brokenPeriodInterest > 0
+      ? ` (broken-period interest ₹${toCurrency(brokenPeriodInterest)})`
+      : ""
+  }
+• Repayment Structure: ${describeRepaymentStructure({
+    type: repaymentStructureEl.value,
+    stepPercent: stepPercentEl.value,
+  })}
+• On ROI Change: ${describeRateResetPolicy(collectRateResetPolicy(), tenure)}
+${floatingRateLine}${moratoriumLines}
 RESULTS:
 • Actual Completion: ${currentSchedule.length} months
 • Total Interest Paid: ₹${toCurrency(newTotalInterest)}
 • Total Disbursements: ₹${toCurrency(totalDisbursements)}
-• Total Prepayments: ₹${toCurrency(totalPrepayments)}
-• Interest Saved: ₹${toCurrency(interestSaved)}
+• Total Prepayments: ₹${toCurrency(totalPrepayments)}${recurringPrepayments
+    .map((rule) => `\n  ◦ Recurring: ${describeRecurringRule(rule)}`)
+    .join("")}
+${actualsLine}${delinquencyLine}• Interest Saved: ₹${toCurrency(interestSaved)}
 • Completion Date: ${completionDateEl.value}
+• Rate Resets Hitting Tenure Cap (EMI raised): ${
+    currentSchedule.filter((r) => r.tenureCapped).length
+  }
 
 STRATEGY IMPACT:
 • Tenure Change: ${currentSchedule.length - tenure} months ${
     currentSchedule.length > tenure ? "(extended)" : "(reduced)"
   }
 • Monthly Savings: ₹${toCurrency(interestSaved / tenure)} average
-  `.trim();
+${taxSection}${notesSection}  `.trim();
 
   const blob = new Blob([report], { type: "text/plain" });
   const url = URL.createObjectURL(blob);
@@ -1817,6 +5306,342 @@ STRATEGY IMPACT:
 const summaryBtn = document.getElementById("summaryReportBtn");
 summaryBtn.addEventListener("click", generateSummaryReport);
 
+/////////////////////// PDF Report ///////////////////////
+
+/**
+ * Load jsPDF from CDN the first time a PDF report is made
+ */
+function loadJsPDF() {
+  return new Promise((resolve, reject) => {
+    if (window.jspdf) {
+      resolve();
+      return;
+    }
+
+    const script = document.createElement("script");
+    script.src =
+      "https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js";
+    script.onload = resolve;
+    script.onerror = reject;
+    document.head.appendChild(script);
+  });
+}
+
+// A4 portrait, in mm; the bottom margin leaves room for the page footer
+const PDF_PAGE = { width: 210, height: 297, margin: 14, bottom: 20 };
+
+/**
+ * Text the built-in PDF fonts can draw: they have no ₹ sign or arrows
+ */
+function pdfText(text) {
+  return String(text === null || text === undefined ? "" : text)
+    .replace(/₹\s?(?=[\d-])/g, "Rs. ")
+    .replace(/₹/g, "Rs.")
+    .replace(/→/g, "->")
+    .replace(/[◦▪]/g, "-")
+    .replace(
+      /[^\x20-\x7e\xa0-\xff\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026]/g,
+      ""
+    );
+}
+
+/**
+ * Draw a table from `y` down, wrapping long cells and starting new pages
+ * as needed; the header row (if any column has a label) repeats on each
+ * page. Columns are { label, width, align }. Returns the y below the table.
+ */
+function drawPdfTable(doc, y, columns, rows) {
+  const lineHeight = 4;
+  const hasHeader = columns.some((col) => col.label);
+  const drawRow = (cells, bold) => {
+    doc.setFont("helvetica", bold ? "bold" : "normal");
+    const lines = cells.map((cell, i) =>
+      doc.splitTextToSize(pdfText(cell), columns[i].width - 2)
+    );
+    const height = Math.max(...lines.map((l) => l.length)) * lineHeight + 1;
+    if (y + height > PDF_PAGE.height - PDF_PAGE.bottom) {
+      doc.addPage();
+      y = PDF_PAGE.margin + 4;
+      if (hasHeader && !bold) drawHeader();
+    }
+    let x = PDF_PAGE.margin;
+    lines.forEach((text, i) => {
+      const col = columns[i];
+      if (col.align === "right") {
+        doc.text(text, x + col.width - 1, y, { align: "right" });
+      } else {
+        doc.text(text, x + 1, y);
+      }
+      x += col.width;
+    });
+    y += height;
+  };
+  const drawHeader = () => {
+    drawRow(
+      columns.map((col) => col.label),
+      true
+    );
+    doc.line(
+      PDF_PAGE.margin,
+      y - lineHeight,
+      PDF_PAGE.width - PDF_PAGE.margin,
+      y - lineHeight
+    );
+  };
+
+  doc.setFontSize(8);
+  if (hasHeader) drawHeader();
+  rows.forEach((row) => drawRow(row, false));
+  return y + 2;
+}
+
+/**
+ * [label, value] lines describing the loan, as in the summary report
+ */
+function pdfLoanDetails(data) {
+  const details = [
+    ["Loan start date", formatDate(loanStartDateValue())],
+    [
+      isPreEmiMode() ? "Sanctioned amount" : "Principal amount",
+      `₹${toCurrency(data.loanAmount)}`,
+    ],
+    [
+      "Initial interest rate",
+      `${data.roiStart}% per annum (${describeEffectiveRate(currentTotals)})`,
+    ],
+    ["Original tenure", `${data.tenureMonths} months`],
+    ["Charges", describeCharges(resolveCharges(data.charges, data.loanAmount))],
+    ["Interest calculation", describeDayCount(data.dayCount)],
+    [
+      "Repayment structure",
+      describeRepaymentStructure(data.repaymentStructure),
+    ],
+    [
+      "On ROI change",
+      describeRateResetPolicy(data.rateResetPolicy, data.tenureMonths),
+    ],
+  ];
+  if (isBenchmarkLinked()) {
+    details.push(["Floating rate", describeFloatingRate(data.floatingRate)]);
+  }
+  recurringPrepayments.forEach((rule) =>
+    details.push(["Recurring prepayment", describeRecurringRule(rule)])
+  );
+  moratoriums.forEach((range) =>
+    details.push(["Moratorium", describeMoratorium(range)])
+  );
+  return details;
+}
+
+/**
+ * [label, value] of every card in the Financial Summary panel, plus the
+ * completion ring
+ */
+function pdfMetrics() {
+  const metrics = [
+    ...document.querySelectorAll(".metrics-grid .metric-item"),
+  ].map((item) => {
+    const label = item.querySelector(".metric-label").textContent;
+    const value = item.querySelector(".metric-value-input").value;
+    const trend = item.querySelector(".metric-trend");
+    return [
+      label.trim().replace(/\s+/g, " "),
+      trend && trend.textContent.trim()
+        ? `${value} (${trend.textContent.trim()})`
+        : value,
+    ];
+  });
+  metrics.push([
+    "Loan completed",
+    document.getElementById("completionProgress").textContent,
+  ]);
+  return metrics;
+}
+
+/**
+ * PDF report of the current plan: loan details, the Financial Summary
+ * metrics, the amortization chart, yearly totals and the full schedule as
+ * an appendix. Every page carries the scenario ID and its page number.
+ */
+async function downloadPdfReport() {
+  if (!currentSchedule || currentSchedule.length === 0) {
+    alert("Please generate a schedule first");
+    return;
+  }
+  try {
+    await loadJsPDF();
+  } catch (error) {
+    alert("Could not load the PDF library. Check your internet connection.");
+    return;
+  }
+
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF({ unit: "mm", format: "a4" });
+  const { margin, width, height } = PDF_PAGE;
+  const contentWidth = width - 2 * margin;
+  const data = collectScenarioData();
+  let y = margin + 6;
+
+  const heading = (title) => {
+    if (y > height - PDF_PAGE.bottom - 20) {
+      doc.addPage();
+      y = margin + 6;
+    }
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(12);
+    doc.text(title, margin, y);
+    y += 6;
+  };
+  const labelled = [
+    { label: "", width: 55 },
+    { label: "", width: contentWidth - 55 },
+  ];
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(16);
+  doc.text("Loan Amortization Report", margin, y);
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  doc.text(
+    pdfText(`Generated ${new Date().toLocaleString()}`),
+    width - margin,
+    y,
+    { align: "right" }
+  );
+  y += 10;
+
+  heading("Loan Details");
+  y = drawPdfTable(doc, y, labelled, pdfLoanDetails(data));
+
+  heading("Key Metrics");
+  y = drawPdfTable(doc, y, labelled, pdfMetrics());
+
+  heading("Amortization Chart");
+  if (amortizationChart && amortizationChart.toBase64Image) {
+    const chartHeight =
+      (contentWidth * amortizationChart.height) / amortizationChart.width ||
+      contentWidth / 2;
+    if (y + chartHeight > height - PDF_PAGE.bottom) {
+      doc.addPage();
+      y = margin + 4;
+    }
+    doc.addImage(
+      amortizationChart.toBase64Image(),
+      "PNG",
+      margin,
+      y,
+      contentWidth,
+      chartHeight
+    );
+    y += chartHeight + 6;
+  } else {
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(9);
+    doc.text(
+      "Chart not available (charts need an internet connection).",
+      margin,
+      y
+    );
+    y += 8;
+  }
+
+  const yearType =
+    scheduleViewEl.value === YEAR_CALENDAR ? YEAR_CALENDAR : YEAR_FINANCIAL;
+  heading(
+    yearType === YEAR_CALENDAR
+      ? "Yearly Summary (January-December)"
+      : "Yearly Summary (April-March)"
+  );
+  const money = (label, width) => ({ label, width, align: "right" });
+  y = drawPdfTable(
+    doc,
+    y,
+    [
+      { label: "Year", width: 24 },
+      money("Months", 14),
+      money("EMI", 26),
+      money("Interest", 26),
+      money("Principal", 26),
+      money("Disbursement", 22),
+      money("Prepayment", 22),
+      money("Closing Balance", 22),
+    ],
+    aggregateByYear(currentSchedule, yearType).map((year) => [
+      year.label,
+      year.months,
+      toCurrency(year.emi),
+      toCurrency(year.interest),
+      toCurrency(year.principal),
+      toCurrency(year.disbursement),
+      toCurrency(year.prepayment),
+      toCurrency(year.closingBalance || 0),
+    ])
+  );
+
+  doc.addPage();
+  y = margin + 6;
+  heading("Appendix: Full Schedule");
+  drawPdfTable(
+    doc,
+    y,
+    [
+      money("Sr", 10),
+      { label: "Due Date", width: 26 },
+      money("EMI", 24),
+      money("Interest", 24),
+      money("Principal", 24),
+      money("Disbursement", 22),
+      money("Prepayment", 22),
+      money("ROI", 10),
+      money("Balance", 20),
+    ],
+    currentSchedule.map((r) => [
+      r.monthIndex,
+      r.monthLabel,
+      toCurrency(r.emi || 0),
+      toCurrency(r.interest || 0),
+      toCurrency(r.principal || 0),
+      toCurrency(r.disbursement || 0),
+      toCurrency(
+        (r.prepayment || 0) +
+          (r.recurringPrepayment || 0) +
+          (r.extraPayment || 0)
+      ),
+      r.roiChange !== null && r.roiChange !== undefined
+        ? `${r.roiChange}%`
+        : "",
+      toCurrency(r.balance || 0),
+    ])
+  );
+
+  const scenarioLabel = `Scenario: ${
+    currentScenarioId || currentScenarioIdEl.value
+  }`;
+  const pages = doc.getNumberOfPages();
+  for (let page = 1; page <= pages; page++) {
+    doc.setPage(page);
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.text(pdfText(scenarioLabel), margin, height - 10);
+    doc.text(`Page ${page} of ${pages}`, width - margin, height - 10, {
+      align: "right",
+    });
+  }
+
+  const blob = doc.output("blob");
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `loan_report_${currentScenarioId || "report"}.pdf`;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+const pdfReportBtn = document.getElementById("pdfReportBtn");
+pdfReportBtn.addEventListener("click", downloadPdfReport);
+
 // Local Storage for User Preferences (not scenario data)
 function saveUserPreferences() {
   const preferences = {
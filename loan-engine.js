@@ -0,0 +1,2293 @@
+/*
+  FILE: loan-engine.js
+  DOM-free amortization engine shared by the page (app.js) and Node:
+
+  - simulateLoan(scenario) runs the month-by-month simulation with
+    disbursements, prepayments and ROI changes
+  - generateBaselineSchedule(scenario) builds the plain EMI schedule
+  - Scenario shape is the one produced by collectScenarioData()
+  - Rows are the ones consumed by renderSchedule() / createAmortizationChart()
+  - Loaded as a plain <script> in the browser, require()-able in Node
+*/
+
+/////////////////////// EMI math ///////////////////////
+
+/**
+ * Calculate EMI for given principal, monthlyRate (decimal), and months.
+ * If monthlyRate === 0, EMI = principal / months.
+ */
+function calculateEMI(principal, monthlyRate, months) {
+  if (months <= 0) return 0;
+  if (!principal || principal <= 0) return 0;
+  if (monthlyRate === 0) return principal / months;
+  const r = monthlyRate;
+  const pow = Math.pow(1 + r, months);
+  return (principal * r * pow) / (pow - 1);
+}
+
+/**
+ * Given remaining principal (P), fixed EMI, and monthlyRate (decimal),
+ * compute the number of months required to amortize P at that EMI.
+ */
+function calculateRemainingMonths(principal, emi, monthlyRate) {
+  if (principal <= 0) return 0;
+  if (emi <= 0) return Infinity;
+  if (monthlyRate === 0) {
+    return Math.ceil(principal / emi);
+  }
+  const monthlyInterest = principal * monthlyRate;
+  if (emi <= monthlyInterest + 1e-12) {
+    return Infinity;
+  }
+  const numerator = Math.log(emi / (emi - principal * monthlyRate));
+  const denominator = Math.log(1 + monthlyRate);
+  return numerator / denominator;
+}
+
+// Repayment structures: equated EMI, or an EMI that steps up / down by a
+// fixed percentage every loan year.
+const STRUCTURE_FLAT = "flat";
+const STRUCTURE_STEP_UP = "step-up";
+const STRUCTURE_STEP_DOWN = "step-down";
+
+/**
+ * Signed yearly EMI step (decimal) for scenario.repaymentStructure
+ * ({ type, stepPercent }); 0 for a flat EMI.
+ */
+function repaymentStepRate(structure) {
+  if (!structure) return 0;
+  const step = Math.max(0, Number(structure.stepPercent) || 0) / 100;
+  if (structure.type === STRUCTURE_STEP_UP) return step;
+  if (structure.type === STRUCTURE_STEP_DOWN) return -Math.min(step, 0.99);
+  return 0;
+}
+
+/**
+ * EMI multiplier for schedule month `monthNumber` (1-based): the EMI moves
+ * by `stepRate` at the start of every loan year.
+ */
+function emiStepFactor(stepRate, monthNumber) {
+  if (!stepRate) return 1;
+  return Math.pow(1 + stepRate, Math.floor((monthNumber - 1) / 12));
+}
+
+/**
+ * Year-one EMI level that repays `principal` over months
+ * afterMonth + 1 … afterMonth + months when the EMI steps by `stepRate`
+ * each loan year. With stepRate 0 this is calculateEMI().
+ */
+function calculateSteppedEMI(
+  principal,
+  monthlyRate,
+  months,
+  stepRate,
+  afterMonth = 0
+) {
+  if (!stepRate) return calculateEMI(principal, monthlyRate, months);
+  if (months <= 0) return 0;
+  if (!principal || principal <= 0) return 0;
+  let presentValue = 0;
+  for (let j = 1; j <= months; j++) {
+    presentValue +=
+      emiStepFactor(stepRate, afterMonth + j) / Math.pow(1 + monthlyRate, j);
+  }
+  return principal / presentValue;
+}
+
+/**
+ * Months needed to repay `principal` after month `afterMonth` at year-one
+ * EMI level `emiBase`, stepping by `stepRate` each loan year.
+ * With stepRate 0 this is calculateRemainingMonths().
+ */
+function calculateSteppedRemainingMonths(
+  principal,
+  emiBase,
+  monthlyRate,
+  stepRate,
+  afterMonth = 0
+) {
+  if (!stepRate) {
+    return calculateRemainingMonths(principal, emiBase, monthlyRate);
+  }
+  if (principal <= 0) return 0;
+  if (emiBase <= 0) return Infinity;
+  let balance = principal;
+  for (let j = 1; j <= SAFE_MONTH_CAP; j++) {
+    balance =
+      balance * (1 + monthlyRate) -
+      emiBase * emiStepFactor(stepRate, afterMonth + j);
+    if (balance <= 0.0001) return j;
+  }
+  return Infinity;
+}
+
+/////////////////////// Date helpers ///////////////////////
+
+/**
+ * Same day `months` later, clamped to the last day of a shorter month
+ * (31 Jan + 1 month = 28/29 Feb, not 2/3 Mar).
+ */
+function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  const lastDay = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, lastDay));
+  return d;
+}
+
+function formatDate(date) {
+  const opts = { year: "numeric", month: "short", day: "numeric" };
+  return new Date(date).toLocaleDateString("en-GB", opts);
+}
+
+/** Whole calendar days from `from` to `to` (time of day ignored). */
+function daysBetween(from, to) {
+  const a = Date.UTC(from.getFullYear(), from.getMonth(), from.getDate());
+  const b = Date.UTC(to.getFullYear(), to.getMonth(), to.getDate());
+  return Math.round((b - a) / 86400000);
+}
+
+function daysInYear(year) {
+  return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0 ? 366 : 365;
+}
+
+// Calendar month of a scenario event: "YYYY-MM"
+const MONTH_KEY_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Date with day-of-month `day` in the given month, clamped to its last day
+ * (a due day of 31 falls on 30 Apr, 28/29 Feb).
+ */
+function dateInMonth(year, month, day) {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(day, lastDay));
+}
+
+/**
+ * Fraction of a year between two dates under a DAY_COUNT_* convention.
+ * Actual/Actual splits the period at year ends (ISDA), so days in a leap
+ * year count 1/366.
+ */
+function yearFraction(from, to, convention) {
+  if (convention === DAY_COUNT_ACTUAL_365) {
+    return daysBetween(from, to) / 365;
+  }
+  if (convention === DAY_COUNT_ACTUAL_ACTUAL) {
+    let fraction = 0;
+    let cursor = from;
+    for (let year = from.getFullYear(); year <= to.getFullYear(); year++) {
+      const yearEnd = new Date(year + 1, 0, 1);
+      const periodEnd = to < yearEnd ? to : yearEnd;
+      fraction += daysBetween(cursor, periodEnd) / daysInYear(year);
+      cursor = periodEnd;
+    }
+    return fraction;
+  }
+  // 30/360: every month counts as 30 days
+  const d1 = Math.min(from.getDate(), 30);
+  const d2 = Math.min(to.getDate(), 30);
+  const days =
+    (to.getFullYear() - from.getFullYear()) * 360 +
+    (to.getMonth() - from.getMonth()) * 30 +
+    (d2 - d1);
+  return days / 360;
+}
+
+/////////////////////// Scenario helpers ///////////////////////
+
+const SAFE_MONTH_CAP = 5000;
+
+// What a prepayment does to the loan: keep EMI and shorten the tenure, or
+// keep the tenure and re-amortise into a lower EMI.
+const PREPAY_REDUCE_TENURE = "tenure";
+const PREPAY_REDUCE_EMI = "emi";
+
+// What a change in ROI does to the loan: keep EMI and move the tenure, keep
+// the tenure and move the EMI, or the bank's hybrid rule (extend tenure up to
+// a cap, then raise the EMI).
+const RATE_RESET_KEEP_EMI = "keep-emi";
+const RATE_RESET_KEEP_TENURE = "keep-tenure";
+const RATE_RESET_HYBRID = "hybrid";
+const RATE_RESET_POLICIES = [
+  RATE_RESET_KEEP_EMI,
+  RATE_RESET_KEEP_TENURE,
+  RATE_RESET_HYBRID,
+];
+
+// Recurring prepayment frequencies, in months between payments
+const RECURRING_FREQUENCIES = {
+  monthly: 1,
+  quarterly: 3,
+  "half-yearly": 6,
+  yearly: 12,
+};
+
+// How interest is counted for a period: every month is 1/12 of a year
+// (30/360), or actual days over 365, or actual days over the actual length
+// of the year they fall in.
+const DAY_COUNT_30_360 = "30/360";
+const DAY_COUNT_ACTUAL_365 = "actual/365";
+const DAY_COUNT_ACTUAL_ACTUAL = "actual/actual";
+const DAY_COUNT_CONVENTIONS = [
+  DAY_COUNT_30_360,
+  DAY_COUNT_ACTUAL_365,
+  DAY_COUNT_ACTUAL_ACTUAL,
+];
+
+// How the hybrid tenure cap is expressed: original tenure + N years, or the
+// borrower reaching a maximum age.
+const TENURE_CAP_EXTENSION = "extension";
+const TENURE_CAP_AGE = "age";
+
+// EMI moratorium (payment holiday): unpaid interest is either added to the
+// balance or paid separately; afterwards the EMI rises or the tenure extends.
+const MORATORIUM_CAPITALISE = "capitalise";
+const MORATORIUM_PAY_INTEREST = "pay-interest";
+const MORATORIUM_RAISE_EMI = "raise-emi";
+const MORATORIUM_EXTEND_TENURE = "extend-tenure";
+
+/**
+ * Row index (0-based) of a scenario event key: a calendar month
+ * ("YYYY-MM") placed on the payment `calendar`, or a plain row index.
+ */
+function eventRowIndex(key, calendar) {
+  return MONTH_KEY_PATTERN.test(key) ? calendar.rowIndexOf(key) : Number(key);
+}
+
+/**
+ * Turn a scenario event map ({ "YYYY-MM": value } or a Map) into a
+ * Map<row idx, number>, keeping only entries accepted by `keep`; events
+ * before the first EMI are dropped.
+ */
+function toEventMap(events, keep, calendar) {
+  const map = new Map();
+  if (!events) return map;
+  const entries =
+    events instanceof Map ? events.entries() : Object.entries(events);
+  for (const [key, raw] of entries) {
+    if (raw === "" || raw === null || raw === undefined) continue;
+    const value = Number(raw);
+    const idx = eventRowIndex(String(key), calendar);
+    if (!isNaN(value) && keep(value) && idx >= 0) map.set(idx, value);
+  }
+  return map;
+}
+
+/**
+ * Like toEventMap() but for string options ({ "YYYY-MM": "emi" }),
+ * keeping only values listed in `allowed`.
+ */
+function toOptionMap(options, allowed, calendar) {
+  const map = new Map();
+  if (!options) return map;
+  const entries =
+    options instanceof Map ? options.entries() : Object.entries(options);
+  for (const [key, value] of entries) {
+    const idx = eventRowIndex(String(key), calendar);
+    if (allowed.includes(value) && idx >= 0) map.set(idx, value);
+  }
+  return map;
+}
+
+/**
+ * Schedule month (1-based, like the table's Sr. No.) of a rule or
+ * moratorium bound: a calendar month ("YYYY-MM") placed on the payment
+ * `calendar`, or a month number as saved before version 3.3. NaN when
+ * empty.
+ */
+function eventMonthNumber(value, calendar) {
+  const key = value === null || value === undefined ? "" : String(value);
+  return MONTH_KEY_PATTERN.test(key)
+    ? calendar.rowIndexOf(key) + 1
+    : parseInt(key);
+}
+
+/**
+ * Amount (and prepayment mode) that the recurring prepayment rules put on
+ * schedule month `monthNumber` (1-based) of the payment `calendar`.
+ *
+ * A rule is { amount, frequency, startMonth, endMonth, stepUpPercent, mode }:
+ * it pays `amount` every `frequency` from calendar month `startMonth` (the
+ * first EMI when empty) up to `endMonth` (open-ended when empty), growing
+ * by `stepUpPercent` every 12 months.
+ */
+function recurringPrepaymentFor(rules, monthNumber, calendar) {
+  let amount = 0;
+  let mode = null;
+  (rules || []).forEach((rule) => {
+    const base = Number(rule.amount) || 0;
+    const startNumber = eventMonthNumber(rule.startMonth, calendar);
+    const start = isNaN(startNumber) ? 1 : startNumber;
+    const end = eventMonthNumber(rule.endMonth, calendar) || Infinity;
+    const every = RECURRING_FREQUENCIES[rule.frequency] || 1;
+    if (base <= 0 || monthNumber < start || monthNumber > end) return;
+    if ((monthNumber - start) % every !== 0) return;
+
+    const stepUp = (Number(rule.stepUpPercent) || 0) / 100;
+    const yearsElapsed = Math.floor((monthNumber - start) / 12);
+    amount += base * Math.pow(1 + stepUp, yearsElapsed);
+    if (rule.mode === PREPAY_REDUCE_EMI) mode = PREPAY_REDUCE_EMI;
+  });
+  return { amount, mode: amount > 0 ? mode || PREPAY_REDUCE_TENURE : null };
+}
+
+/**
+ * First and last schedule month (1-based) of a moratorium on the payment
+ * `calendar`; `end` defaults to `start`, and `start` is NaN when unset.
+ */
+function moratoriumMonths(range, calendar) {
+  const start = eventMonthNumber(range.startMonth, calendar);
+  const end = eventMonthNumber(range.endMonth, calendar);
+  return { start, end: isNaN(end) ? start : end };
+}
+
+/**
+ * Moratorium covering schedule month `monthNumber` (1-based) of the payment
+ * `calendar`, or null.
+ * A moratorium is { startMonth, endMonth, interest, after }: no EMI is due
+ * from calendar month `startMonth` to `endMonth`; `interest` is
+ * MORATORIUM_CAPITALISE or MORATORIUM_PAY_INTEREST and `after` is
+ * MORATORIUM_RAISE_EMI or MORATORIUM_EXTEND_TENURE.
+ */
+function moratoriumFor(moratoriums, monthNumber, calendar) {
+  return (
+    (moratoriums || []).find((range) => {
+      const { start, end } = moratoriumMonths(range, calendar);
+      return monthNumber >= start && monthNumber <= end;
+    }) || null
+  );
+}
+
+/**
+ * Pre-EMI settings for an under-construction property, or null when off.
+ * scenario.preEmi is { enabled, initialDisbursement, emiStartMonth }:
+ * loanAmount is the sanctioned amount, `initialDisbursement` is paid out at
+ * loan start, later tranches come from `disbursements`, and only interest is
+ * paid until calendar month `emiStartMonth` (empty = month after the last
+ * tranche). The result's `emiStartMonth` is the 1-based schedule month on
+ * the payment `calendar`.
+ */
+function resolvePreEmi(preEmi, disbursementsMap, calendar) {
+  if (!preEmi || !preEmi.enabled) return null;
+  const lastTrancheIdx = Math.max(-1, ...disbursementsMap.keys());
+  const autoStart = lastTrancheIdx + 2;
+  const chosenStart = eventMonthNumber(preEmi.emiStartMonth, calendar) || 0;
+  return {
+    initialDisbursement: Math.max(0, Number(preEmi.initialDisbursement) || 0),
+    emiStartMonth: chosenStart > 0 ? chosenStart : autoStart,
+    startsEarly: chosenStart > 0 && chosenStart < autoStart,
+  };
+}
+
+function isStepMonth(stepRate, monthNumber) {
+  return stepRate !== 0 && monthNumber > 1 && (monthNumber - 1) % 12 === 0;
+}
+
+function scenarioStartDate(scenario) {
+  return scenario.loanStartDate ? new Date(scenario.loanStartDate) : new Date();
+}
+
+/**
+ * Benchmark series (scenario.floatingRate.series: [{ date: "YYYY-MM-DD",
+ * rate }]) as [{ date: Date, rate }] sorted by date, invalid entries dropped.
+ */
+function normalizeBenchmarkSeries(series) {
+  return (series || [])
+    .map((entry) => {
+      const [y, m, d] = String(entry.date || "")
+        .split("-")
+        .map(Number);
+      return { date: new Date(y, m - 1, d), rate: Number(entry.rate) };
+    })
+    .filter((entry) => !isNaN(entry.date.getTime()) && isFinite(entry.rate))
+    .sort((a, b) => a.date - b.date);
+}
+
+/** Benchmark rate in force on `date` (latest entry on or before it). */
+function benchmarkRateOn(series, date) {
+  let rate = null;
+  for (const entry of series) {
+    if (entry.date > date) break;
+    rate = entry.rate;
+  }
+  return rate;
+}
+
+/**
+ * ROI changes derived from a floating-rate benchmark, keyed by 0-based row
+ * index like scenario.roiChanges. `floatingRate` is
+ * { enabled, series, spread, resetFrequency, resetLag }: the rate resets
+ * every `resetFrequency` months to the benchmark in force `resetLag` months
+ * before the reset date plus `spread`. Resets that leave the rate unchanged
+ * are skipped.
+ */
+function deriveBenchmarkRoiChanges(floatingRate, calendar, startRate) {
+  const changes = new Map();
+  if (!floatingRate || !floatingRate.enabled) return changes;
+  const series = normalizeBenchmarkSeries(floatingRate.series);
+  if (series.length === 0) return changes;
+
+  const spread = Number(floatingRate.spread) || 0;
+  const every = Math.max(1, parseInt(floatingRate.resetFrequency) || 3);
+  const lag = Math.max(0, parseInt(floatingRate.resetLag) || 0);
+  const lastEntryDate = series[series.length - 1].date;
+  let rate = Number(startRate) || 0;
+
+  for (let month = every; month <= SAFE_MONTH_CAP; month += every) {
+    const asOf = addMonths(calendar.dueDate(month), -lag);
+    const benchmark = benchmarkRateOn(series, asOf);
+    if (benchmark !== null) {
+      const next = Math.round((benchmark + spread) * 10000) / 10000;
+      if (Math.abs(next - rate) > 1e-9) {
+        changes.set(month - 1, next);
+        rate = next;
+      }
+    }
+    // The series is flat after its last entry: no further changes
+    if (asOf > lastEntryDate) break;
+  }
+  return changes;
+}
+
+/**
+ * EMI due dates and interest factors for scenario.dayCount
+ * ({ convention, emiDueDay }): `convention` is a DAY_COUNT_* value (30/360
+ * by default), `emiDueDay` is 1–31 (empty = same day as the loan start).
+ *
+ * With a due day, the EMI cycle starts on the first due date on or after
+ * the loan start; interest for the days before it is the broken-period
+ * interest, charged with the first EMI. Factors multiply the monthly rate.
+ */
+function buildPaymentCalendar(scenario) {
+  const startDate = scenarioStartDate(scenario);
+  const dayCount = scenario.dayCount || {};
+  const convention = DAY_COUNT_CONVENTIONS.includes(dayCount.convention)
+    ? dayCount.convention
+    : DAY_COUNT_30_360;
+  const dueDay = Math.min(31, Math.max(0, parseInt(dayCount.emiDueDay) || 0));
+
+  let cycleStart = new Date(startDate);
+  if (dueDay) {
+    cycleStart = dateInMonth(
+      startDate.getFullYear(),
+      startDate.getMonth(),
+      dueDay
+    );
+    if (daysBetween(startDate, cycleStart) < 0) {
+      cycleStart = dateInMonth(
+        startDate.getFullYear(),
+        startDate.getMonth() + 1,
+        dueDay
+      );
+    }
+  }
+
+  // Months are counted on the calendar, not from the (possibly clamped)
+  // due date, so a 31st start never skips a month
+  const cycleMonth = cycleStart.getFullYear() * 12 + cycleStart.getMonth();
+  const dueDate = (monthNumber) =>
+    dueDay
+      ? dateInMonth(
+          cycleStart.getFullYear(),
+          cycleStart.getMonth() + monthNumber,
+          dueDay
+        )
+      : addMonths(cycleStart, monthNumber);
+
+  return {
+    convention,
+    dueDate,
+    monthKey(monthNumber) {
+      const month = cycleMonth + monthNumber;
+      const mm = String((month % 12) + 1).padStart(2, "0");
+      return `${Math.floor(month / 12)}-${mm}`;
+    },
+    rowIndexOf(key) {
+      const [year, month] = key.split("-").map(Number);
+      return year * 12 + month - 1 - cycleMonth - 1;
+    },
+    brokenPeriodDays: daysBetween(startDate, cycleStart),
+    brokenPeriodFactor: 12 * yearFraction(startDate, cycleStart, convention),
+    periodFactor(monthNumber) {
+      if (convention === DAY_COUNT_30_360) return 1;
+      return (
+        12 *
+        yearFraction(
+          monthNumber > 1 ? dueDate(monthNumber - 1) : cycleStart,
+          dueDate(monthNumber),
+          convention
+        )
+      );
+    },
+  };
+}
+
+/**
+ * Maximum total tenure (in months from loan start) allowed by the hybrid
+ * rate-reset rule. `policy` is scenario.rateResetPolicy:
+ * { mode, capType, extensionYears, borrowerAge, maxAge }.
+ */
+function resolveTenureCap(policy, originalTenure) {
+  if (!policy) return originalTenure;
+  if (policy.capType === TENURE_CAP_AGE) {
+    const months = (Number(policy.maxAge) - Number(policy.borrowerAge)) * 12;
+    return months > 0 ? Math.floor(months) : originalTenure;
+  }
+  const extensionYears = Math.max(0, Number(policy.extensionYears) || 0);
+  return originalTenure + Math.round(extensionYears * 12);
+}
+
+/**
+ * Re-balance EMI and target tenure after an ROI change, following `policy`.
+ * `emi` is the year-one EMI level (see calculateSteppedEMI()).
+ * Returns { emi, targetMonths, capped }.
+ */
+function resetAfterRateChange(policy, state) {
+  const {
+    balance,
+    emi,
+    monthlyRate,
+    stepRate,
+    monthCount,
+    targetMonths,
+    tenureCap,
+  } = state;
+  const monthsLeft = targetMonths - monthCount;
+
+  if (policy === RATE_RESET_KEEP_TENURE && monthsLeft > 0) {
+    return {
+      emi: calculateSteppedEMI(
+        balance,
+        monthlyRate,
+        monthsLeft,
+        stepRate,
+        monthCount
+      ),
+      targetMonths,
+      capped: false,
+    };
+  }
+
+  const monthsNeeded = calculateSteppedRemainingMonths(
+    balance,
+    emi,
+    monthlyRate,
+    stepRate,
+    monthCount
+  );
+
+  if (policy === RATE_RESET_HYBRID) {
+    const capLeft = tenureCap - monthCount;
+    const beyondCap =
+      !isFinite(monthsNeeded) ||
+      monthCount + Math.ceil(monthsNeeded) > tenureCap;
+    if (beyondCap && capLeft > 0) {
+      return {
+        emi: calculateSteppedEMI(
+          balance,
+          monthlyRate,
+          capLeft,
+          stepRate,
+          monthCount
+        ),
+        targetMonths: tenureCap,
+        capped: true,
+      };
+    }
+  }
+
+  return {
+    emi,
+    targetMonths: isFinite(monthsNeeded)
+      ? monthCount + Math.ceil(monthsNeeded)
+      : targetMonths,
+    capped: false,
+  };
+}
+
+/////////////////////// Cost of borrowing ///////////////////////
+
+// Processing fee is either a percentage of the loan amount or a flat amount
+const FEE_PERCENT = "percent";
+const FEE_AMOUNT = "amount";
+
+/**
+ * Loan charges for scenario.charges:
+ * { processingFee, processingFeeType, legalCharges, valuationCharges,
+ *   insurancePremium, insuranceFinanced }.
+ * Everything is paid upfront except an insurance premium that is financed
+ * into the loan. Returns { items: [{ label, amount, financed }], upfront,
+ * financed, total }.
+ */
+function resolveCharges(charges, loanAmount) {
+  const c = charges || {};
+  const fee = Math.max(0, Number(c.processingFee) || 0);
+  const items = [
+    {
+      label: "Processing fee",
+      amount:
+        c.processingFeeType === FEE_PERCENT ? (loanAmount * fee) / 100 : fee,
+      financed: false,
+    },
+    {
+      label: "Legal charges",
+      amount: Math.max(0, Number(c.legalCharges) || 0),
+      financed: false,
+    },
+    {
+      label: "Valuation charges",
+      amount: Math.max(0, Number(c.valuationCharges) || 0),
+      financed: false,
+    },
+    {
+      label: "Insurance premium",
+      amount: Math.max(0, Number(c.insurancePremium) || 0),
+      financed: !!c.insuranceFinanced,
+    },
+  ].filter((item) => item.amount > 0);
+
+  const sum = (list) => list.reduce((s, item) => s + item.amount, 0);
+  return {
+    items,
+    upfront: sum(items.filter((item) => !item.financed)),
+    financed: sum(items.filter((item) => item.financed)),
+    total: sum(items),
+  };
+}
+
+/**
+ * The borrower's dated cash flows for a simulated schedule: `received` at
+ * `startDate` (less upfront charges), later tranches as they come, and every
+ * payment as it is made: the amount recorded on a row (on its paid date),
+ * else the EMI (capitalised interest is not paid) plus any arrears and
+ * charges caught up, and prepayments on top.
+ */
+function loanCashFlows(schedule, startDate, received, upfrontCharges) {
+  const flows = [{ date: startDate, amount: received - upfrontCharges }];
+  schedule.forEach((row) => {
+    const recorded = row.emiPaid !== null && row.emiPaid !== undefined;
+    const paid =
+      (recorded
+        ? row.emiPaid
+        : row.interest -
+          (row.capitalisedInterest || 0) +
+          row.principal +
+          (row.arrearsPaid || 0)) +
+      (row.prepayment || 0) +
+      (row.recurringPrepayment || 0);
+    flows.push({
+      date: new Date(row.paidDate || row.dueDate),
+      amount: (row.disbursement || 0) - paid,
+    });
+  });
+  return flows;
+}
+
+/**
+ * Annual rate (decimal) at which dated cash flows ([{ date, amount }]) have
+ * zero present value on an Actual/365 basis, or null when there is none.
+ */
+function calculateXIRR(flows) {
+  if (flows.length < 2) return null;
+  const start = flows[0].date;
+  const npv = (rate) =>
+    flows.reduce(
+      (s, f) =>
+        s + f.amount / Math.pow(1 + rate, daysBetween(start, f.date) / 365),
+      0
+    );
+
+  // Flows that change sign more than once (e.g. tax refunds after the last
+  // EMI) can have several roots: take the one nearest zero
+  const bracket = [
+    [0, 1],
+    [1, 10],
+    [-0.5, 0],
+    [-0.99, -0.5],
+  ].find(([lo, hi]) => npv(lo) * npv(hi) <= 0);
+  if (!bracket) return null;
+  let [low, high] = bracket;
+  let npvLow = npv(low);
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const npvMid = npv(mid);
+    if (Math.abs(npvMid) < 1e-7 || high - low < 1e-12) return mid;
+    if (npvLow * npvMid < 0) {
+      high = mid;
+    } else {
+      low = mid;
+      npvLow = npvMid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * Charges plus the effective annual rate of a schedule: XIRR over the
+ * actual cash-flow dates, and the same as a monthly-compounded APR that is
+ * comparable with roiStart (both in %).
+ */
+function borrowingCost(schedule, scenario, received, charges) {
+  const xirr = calculateXIRR(
+    loanCashFlows(
+      schedule,
+      scenarioStartDate(scenario),
+      received,
+      charges.upfront
+    )
+  );
+  return {
+    upfrontCharges: charges.upfront,
+    financedCharges: charges.financed,
+    totalCharges: charges.total,
+    xirr: xirr === null ? null : xirr * 100,
+    apr: xirr === null ? null : 12 * (Math.pow(1 + xirr, 1 / 12) - 1) * 100,
+  };
+}
+
+/////////////////////// Baseline ///////////////////////
+
+/**
+ * Plain EMI schedule for the scenario's loan inputs, ignoring all events.
+ * Step-up / step-down structures solve for the first-year EMI so the loan
+ * still closes at the chosen tenure.
+ */
+function generateBaselineSchedule(scenario) {
+  const loanAmount = Number(scenario.loanAmount) || 0;
+  const charges = resolveCharges(scenario.charges, loanAmount);
+  // Financed charges are repaid with the loan
+  const P = loanAmount + charges.financed;
+  const annualRate = Number(scenario.roiStart) || 0;
+  const n = parseInt(scenario.tenureMonths) || 0;
+  const monthlyRate = annualRate / 12 / 100;
+  const stepRate = repaymentStepRate(scenario.repaymentStructure);
+  const baseEMI = calculateSteppedEMI(P, monthlyRate, n, stepRate);
+
+  const rows = [];
+  let balance = P;
+  const calendar = buildPaymentCalendar(scenario);
+  const brokenPeriodInterest = P * monthlyRate * calendar.brokenPeriodFactor;
+
+  for (let i = 1; i <= n; i++) {
+    const baselineEMI = baseEMI * emiStepFactor(stepRate, i);
+    const interest = balance * monthlyRate * calendar.periodFactor(i);
+    let principal = baselineEMI - interest;
+    // Stepped EMIs may start below interest: the shortfall is capitalised
+    if (principal < 0 && !stepRate) principal = 0;
+    // Actual-day interest leaves a small residue: the last EMI absorbs it
+    if (principal > balance || (i === n && calendar.periodFactor(i) !== 1)) {
+      principal = balance;
+    }
+    balance -= principal;
+    const bpi = i === 1 ? brokenPeriodInterest : 0;
+
+    rows.push({
+      monthIndex: i,
+      monthLabel: formatDate(calendar.dueDate(i)),
+      month: calendar.monthKey(i),
+      dueDate: calendar.dueDate(i).toISOString(),
+      emi: baselineEMI,
+      emiDue: baselineEMI + bpi,
+      emiStepped: isStepMonth(stepRate, i),
+      preEmi: false,
+      moratorium: false,
+      capitalisedInterest: 0,
+      interest: interest + bpi,
+      brokenPeriodInterest: bpi,
+      principal: principal,
+      disbursement: 0,
+      prepayment: 0,
+      recurringPrepayment: 0,
+      prepaymentMode: null,
+      roiChange: null,
+      roiDerived: false,
+      roiPolicy: null,
+      roiPolicyOverride: null,
+      tenureCapped: false,
+      balance: Math.max(balance, 0),
+    });
+
+    if (balance <= 0.0001) break;
+  }
+
+  return {
+    schedule: rows,
+    totals: {
+      ...summarizeSchedule(rows),
+      ...borrowingCost(rows, scenario, loanAmount, charges),
+      openingBalance: P,
+    },
+    warnings: [],
+  };
+}
+
+/////////////////////// Simulation ///////////////////////
+
+/**
+ * Actual payments ({ "YYYY-MM": { date: "YYYY-MM-DD", amount } }) as a
+ * Map<row idx, { date, amount }>, dropping entries without a valid amount.
+ */
+function toActualPaymentMap(payments, calendar) {
+  const map = new Map();
+  if (!payments) return map;
+  const entries =
+    payments instanceof Map ? payments.entries() : Object.entries(payments);
+  for (const [key, payment] of entries) {
+    if (!payment || payment.amount === "" || payment.amount == null) continue;
+    const amount = Number(payment.amount);
+    const idx = eventRowIndex(String(key), calendar);
+    if (!isNaN(amount) && amount >= 0 && idx >= 0) {
+      map.set(idx, { date: payment.date || null, amount });
+    }
+  }
+  return map;
+}
+
+/**
+ * Run the amortization with the scenario's disbursements, prepayments and
+ * ROI changes (all keyed by calendar month "YYYY-MM" of the EMI due date;
+ * plain 0-based row indexes are still accepted). Every row carries its
+ * `month` key and `emiDue`, the amount billed that month (the EMI before
+ * any re-amortisation on the row, plus broken-period interest).
+ * `prepaymentModes` picks PREPAY_REDUCE_EMI or PREPAY_REDUCE_TENURE
+ * (the default) per prepayment row. `recurringPrepayments` rules are
+ * expanded month by month on top of the one-off prepayments.
+ * `repaymentStructure` makes the EMI step up / down every loan year, and
+ * every re-amortisation keeps that shape.
+ * `preEmi` switches on interest-only payments until full EMI starts
+ * (see resolvePreEmi()); `tenureMonths` then counts from the EMI start.
+ * `rateResetPolicy.mode` is the global RATE_RESET_* rule for ROI changes
+ * (RATE_RESET_KEEP_EMI by default); `roiChangePolicies` overrides it per row.
+ * `floatingRate` links the ROI to a benchmark series plus spread; its
+ * resets are merged under the manual `roiChanges`
+ * (see deriveBenchmarkRoiChanges()).
+ * `dayCount` sets how each month's interest is counted and the EMI due day
+ * (see buildPaymentCalendar()).
+ * `moratoriums` suspend the EMI for month ranges (see moratoriumFor()); the
+ * extra interest each one costs is put on its last row (`moratoriumCost`).
+ * `emiPayments` records what was actually paid on a row (0 = missed); the
+ * shortfall is carried as overdue and `delinquency` ({ penalRate,
+ * bounceCharge }) prices it.
+ * `actualPayments` marks rows as paid ({ date, amount }, see
+ * paymentProgress()); the amount replaces the row's `emiPayments` entry,
+ * and whatever exceeds the dues is an extra payment that cuts the balance
+ * like a prepayment, so the projection runs on from the real balance.
+ * `charges` adds fees and insurance (see resolveCharges()); financed ones
+ * join the opening balance, and totals.xirr / totals.apr give the effective
+ * annual rate including all of them.
+ *
+ * Returns { schedule, totals, warnings }.
+ */
+function simulateLoan(scenario) {
+  const result = runSimulation(scenario);
+  const moratoriums = scenario.moratoriums || [];
+  if (moratoriums.length === 0) {
+    return { ...result, totals: { ...result.totals, moratoriumCost: 0 } };
+  }
+
+  // Cost of each holiday: interest with it minus interest with only the
+  // ones before it
+  const calendar = buildPaymentCalendar(scenario);
+  let previousInterest = runSimulation({ ...scenario, moratoriums: [] }).totals
+    .totalInterest;
+  let moratoriumCost = 0;
+  moratoriums.forEach((range, i) => {
+    const interest =
+      i === moratoriums.length - 1
+        ? result.totals.totalInterest
+        : runSimulation({
+            ...scenario,
+            moratoriums: moratoriums.slice(0, i + 1),
+          }).totals.totalInterest;
+    const cost = interest - previousInterest;
+    previousInterest = interest;
+    moratoriumCost += cost;
+
+    const { end } = moratoriumMonths(range, calendar);
+    const lastRow = result.schedule[Math.min(end, result.schedule.length) - 1];
+    if (lastRow && lastRow.moratorium) {
+      lastRow.moratoriumCost = (lastRow.moratoriumCost || 0) + cost;
+    }
+  });
+
+  return { ...result, totals: { ...result.totals, moratoriumCost } };
+}
+
+function runSimulation(scenario) {
+  const P = Number(scenario.loanAmount) || 0;
+  const originalTenure = parseInt(scenario.tenureMonths) || 0;
+  const calendar = buildPaymentCalendar(scenario);
+
+  const disbursementsMap = toEventMap(
+    scenario.disbursements,
+    (v) => v > 0,
+    calendar
+  );
+  const prepaymentsMap = toEventMap(
+    scenario.prepayments,
+    (v) => v > 0,
+    calendar
+  );
+  const emiPaymentsMap = toEventMap(
+    scenario.emiPayments,
+    (v) => v >= 0,
+    calendar
+  );
+  const actualPaymentsMap = toActualPaymentMap(
+    scenario.actualPayments,
+    calendar
+  );
+  const delinquency = scenario.delinquency || {};
+  const penalMonthlyRate =
+    Math.max(0, Number(delinquency.penalRate) || 0) / 12 / 100;
+  const bounceCharge = Math.max(0, Number(delinquency.bounceCharge) || 0);
+  const manualRoiMap = toEventMap(scenario.roiChanges, (v) => v >= 0, calendar);
+  // Manual ROI entries override the benchmark-derived ones
+  const roiMap = new Map([
+    ...deriveBenchmarkRoiChanges(
+      scenario.floatingRate,
+      calendar,
+      scenario.roiStart
+    ),
+    ...manualRoiMap,
+  ]);
+  const prepayModeMap = toOptionMap(
+    scenario.prepaymentModes,
+    [PREPAY_REDUCE_TENURE, PREPAY_REDUCE_EMI],
+    calendar
+  );
+  const roiPolicyMap = toOptionMap(
+    scenario.roiChangePolicies,
+    RATE_RESET_POLICIES,
+    calendar
+  );
+  const resetPolicy = scenario.rateResetPolicy || {};
+  const defaultRoiPolicy = RATE_RESET_POLICIES.includes(resetPolicy.mode)
+    ? resetPolicy.mode
+    : RATE_RESET_KEEP_EMI;
+  const preEmi = resolvePreEmi(scenario.preEmi, disbursementsMap, calendar);
+  const preEmiMonths = preEmi ? preEmi.emiStartMonth - 1 : 0;
+  const tenureCap =
+    resolveTenureCap(resetPolicy, originalTenure) + preEmiMonths;
+  const charges = resolveCharges(scenario.charges, P);
+
+  // Initial EMI calculation (year-one level; steps are applied per month)
+  const stepRate = repaymentStepRate(scenario.repaymentStructure);
+  const initialMonthlyRate = (Number(scenario.roiStart) || 0) / 12 / 100;
+  let emiBase = calculateSteppedEMI(
+    P + charges.financed,
+    initialMonthlyRate,
+    Math.max(1, originalTenure),
+    stepRate
+  );
+
+  const schedule = [];
+  const warnings = [];
+  const openingBalance =
+    (preEmi ? preEmi.initialDisbursement : P) + charges.financed;
+  let balance = openingBalance;
+  let monthlyRate = initialMonthlyRate;
+  let totalDisbursements = 0;
+  let preEmiInterest = 0;
+  let capitalisationWarned = false;
+  let overdue = 0; // Unpaid EMI amounts
+  let overdueCharges = 0; // Unpaid penal interest and bounce charges
+  let targetRemainingMonths = originalTenure + preEmiMonths; // Track target tenure
+
+  for (
+    let monthCount = 1;
+    monthCount <= SAFE_MONTH_CAP &&
+    (balance > 0.0001 || monthCount <= preEmiMonths);
+    monthCount++
+  ) {
+    const idxForInputs = monthCount - 1;
+    const dueDate = calendar.dueDate(monthCount);
+    const monthLabel = formatDate(dueDate);
+    const periodRate = monthlyRate * calendar.periodFactor(monthCount);
+    // Pre-EMI: interest only until full EMI starts on the disbursed balance
+    const inPreEmi = monthCount <= preEmiMonths;
+    if (preEmi && monthCount === preEmi.emiStartMonth) {
+      emiBase = calculateSteppedEMI(
+        balance,
+        monthlyRate,
+        Math.max(1, targetRemainingMonths - preEmiMonths),
+        stepRate,
+        monthCount - 1
+      );
+    }
+    // Moratorium: no EMI; interest is paid separately or capitalised
+    const holiday = inPreEmi
+      ? null
+      : moratoriumFor(scenario.moratoriums, monthCount, calendar);
+    let currentEMI = emiBase * emiStepFactor(stepRate, monthCount);
+    if (inPreEmi || (holiday && holiday.interest === MORATORIUM_PAY_INTEREST)) {
+      currentEMI = balance * periodRate;
+    } else if (holiday) {
+      currentEMI = 0;
+    }
+
+    // 1. Calculate interest for the month (plus broken-period interest from
+    // loan start to the start of the EMI cycle on the first one)
+    const interest = balance * periodRate;
+    const bpi =
+      monthCount === 1
+        ? balance * monthlyRate * calendar.brokenPeriodFactor
+        : 0;
+
+    // 2. Calculate principal portion of EMI
+    let principal = currentEMI - interest;
+    let capitalisedInterest = 0;
+    if (holiday) {
+      capitalisedInterest = Math.max(0, -principal);
+      principal = 0;
+      balance += capitalisedInterest;
+    } else if (principal < 0 && stepRate) {
+      // Stepped EMI below interest: shortfall is added to the balance
+      if (!capitalisationWarned) {
+        capitalisationWarned = true;
+        warnings.push({
+          monthIndex: monthCount,
+          message: `Month ${monthCount}: EMI below interest; the shortfall is capitalised until the EMI steps up.`,
+        });
+      }
+    } else if (principal < 0) {
+      principal = 0;
+      warnings.push({
+        monthIndex: monthCount,
+        message: `Month ${monthCount}: EMI insufficient to cover interest.`,
+      });
+    }
+    // Actual-day interest leaves a small residue: the last EMI absorbs it
+    const lastPlannedMonth =
+      !inPreEmi &&
+      calendar.convention !== DAY_COUNT_30_360 &&
+      monthCount === targetRemainingMonths &&
+      balance - principal < currentEMI;
+    if (principal > balance || lastPlannedMonth) principal = balance;
+
+    // 3. Apply EMI principal reduction
+    balance -= principal;
+
+    // 4. Missed / partial EMI: the unpaid part stays overdue and attracts
+    // penal interest. A recorded payment clears charges first, then older
+    // dues, then this month's EMI; an unrecorded month pays its EMI and
+    // catches up on everything overdue. Anything left over is an extra
+    // payment towards principal.
+    const penalInterest = overdue * penalMonthlyRate;
+    overdueCharges += penalInterest;
+    const emiDue = currentEMI + bpi;
+    const actual = actualPaymentsMap.get(idxForInputs) || null;
+    let emiPaid = emiPaymentsMap.has(idxForInputs)
+      ? emiPaymentsMap.get(idxForInputs)
+      : null;
+    if (actual) emiPaid = actual.amount;
+    let shortfall = 0;
+    let bounce = 0;
+    let extraPayment = 0;
+    let arrearsPaid = 0;
+    if (emiPaid !== null) {
+      if (emiPaid < emiDue - 0.005) {
+        bounce = bounceCharge;
+        overdueCharges += bounce;
+      }
+      let available = emiPaid;
+      const toCharges = Math.min(available, overdueCharges);
+      overdueCharges -= toCharges;
+      available -= toCharges;
+      const toOverdue = Math.min(available, overdue);
+      overdue -= toOverdue;
+      available -= toOverdue;
+      // Payments rounded to the paisa count as exact
+      const left = available - emiDue;
+      shortfall = left < -0.005 ? -left : 0;
+      overdue += shortfall;
+      extraPayment = left > 0.005 ? left : 0;
+    } else {
+      arrearsPaid = overdue + overdueCharges;
+      overdue = 0;
+      overdueCharges = 0;
+    }
+
+    // 5. Calculate net disbursement after prepayment
+    const manualPrepay = prepaymentsMap.get(idxForInputs) || 0;
+    const recurring = recurringPrepaymentFor(
+      scenario.recurringPrepayments,
+      monthCount,
+      calendar
+    );
+    const prepay = manualPrepay + recurring.amount + extraPayment;
+    const disbursement = disbursementsMap.get(idxForInputs) || 0;
+    const netDisbursement = disbursement - prepay;
+    // A one-off prepayment's own choice wins over the recurring rule's
+    const prepayMode = manualPrepay
+      ? prepayModeMap.get(idxForInputs) || PREPAY_REDUCE_TENURE
+      : recurring.mode;
+
+    // Apply net effect
+    if (netDisbursement > 0) {
+      balance += netDisbursement;
+      totalDisbursements += disbursement; // Track total disbursements for reporting
+    } else if (netDisbursement < 0) {
+      balance = Math.max(0, balance + netDisbursement); // Effectively a prepayment
+    }
+
+    // 6. Store old rate before potential ROI change
+    const oldMonthlyRate = monthlyRate;
+    let roiChanged = false;
+
+    // Check for ROI change
+    if (roiMap.has(idxForInputs)) {
+      const newAnnual = roiMap.get(idxForInputs);
+      monthlyRate = Number(newAnnual) / 12 / 100;
+      roiChanged = true;
+    }
+
+    // 7. Handle EMI/Tenure adjustments based on changes
+    let emiChanged = false;
+
+    // If there's a net disbursement, recalculate EMI using OLD rate (tenure stays same)
+    if (!inPreEmi && netDisbursement > 0 && balance > 0.0001) {
+      const remainingMonths = targetRemainingMonths - monthCount;
+      if (remainingMonths > 0) {
+        const newEMI = calculateSteppedEMI(
+          balance,
+          oldMonthlyRate, // Use OLD rate
+          remainingMonths,
+          stepRate,
+          monthCount
+        );
+        if (newEMI > 0 && isFinite(newEMI)) {
+          emiBase = newEMI;
+          emiChanged = true;
+        }
+      }
+    }
+
+    // Prepayment asked to reduce EMI: re-amortise over the remaining tenure
+    // at the current (possibly just changed) rate, so tenure stays put
+    let emiReduced = false;
+    if (
+      !inPreEmi &&
+      netDisbursement < 0 &&
+      prepayMode === PREPAY_REDUCE_EMI &&
+      balance > 0.0001
+    ) {
+      const remainingMonths = targetRemainingMonths - monthCount;
+      if (remainingMonths > 0) {
+        const newEMI = calculateSteppedEMI(
+          balance,
+          monthlyRate,
+          remainingMonths,
+          stepRate,
+          monthCount
+        );
+        if (newEMI > 0 && isFinite(newEMI)) {
+          emiBase = newEMI;
+          emiChanged = true;
+          emiReduced = true;
+        }
+      }
+    }
+
+    // Handle ROI change according to the rate-reset policy
+    let roiPolicy = null;
+    let tenureCapped = false;
+    if (inPreEmi) {
+      // Nothing to re-balance: EMI is worked out when it starts
+      preEmiInterest += interest + bpi;
+    } else if (roiChanged && !emiReduced) {
+      roiPolicy = roiPolicyMap.get(idxForInputs) || defaultRoiPolicy;
+      const reset = resetAfterRateChange(roiPolicy, {
+        balance,
+        emi: emiBase,
+        monthlyRate,
+        stepRate,
+        monthCount,
+        targetMonths: targetRemainingMonths,
+        tenureCap,
+      });
+      emiBase = reset.emi;
+      targetRemainingMonths = reset.targetMonths;
+      tenureCapped = reset.capped;
+    } else if (netDisbursement < 0 && !emiChanged) {
+      // Pure prepayment: EMI stays, tenure moves
+      const remainingMonths = calculateSteppedRemainingMonths(
+        balance,
+        emiBase,
+        monthlyRate,
+        stepRate,
+        monthCount
+      );
+      if (isFinite(remainingMonths)) {
+        targetRemainingMonths = monthCount + Math.ceil(remainingMonths);
+      }
+    }
+
+    // Moratorium over: re-amortise what is left, by EMI or by tenure
+    const holidayEnds =
+      holiday &&
+      monthCount === moratoriumMonths(holiday, calendar).end &&
+      balance > 0.0001;
+    let tenureExtended = false;
+    if (holidayEnds && holiday.after === MORATORIUM_EXTEND_TENURE) {
+      const remainingMonths = calculateSteppedRemainingMonths(
+        balance,
+        emiBase,
+        monthlyRate,
+        stepRate,
+        monthCount
+      );
+      if (isFinite(remainingMonths)) {
+        targetRemainingMonths = monthCount + Math.ceil(remainingMonths);
+        tenureExtended = true;
+      } else {
+        warnings.push({
+          monthIndex: monthCount,
+          message: `Month ${monthCount}: EMI no longer covers interest after the moratorium; raising EMI instead.`,
+        });
+      }
+    }
+    if (holidayEnds && !tenureExtended) {
+      const remainingMonths = Math.max(1, targetRemainingMonths - monthCount);
+      targetRemainingMonths = monthCount + remainingMonths;
+      emiBase = calculateSteppedEMI(
+        balance,
+        monthlyRate,
+        remainingMonths,
+        stepRate,
+        monthCount
+      );
+    }
+
+    // Add month to schedule
+    schedule.push({
+      monthIndex: monthCount,
+      monthLabel: monthLabel,
+      month: calendar.monthKey(monthCount),
+      dueDate: dueDate.toISOString(),
+      emi:
+        inPreEmi || holiday
+          ? currentEMI
+          : emiBase * emiStepFactor(stepRate, monthCount),
+      emiDue: emiDue,
+      emiStepped: isStepMonth(stepRate, monthCount),
+      preEmi: inPreEmi,
+      moratorium: !!holiday,
+      capitalisedInterest: capitalisedInterest,
+      interest: interest + bpi,
+      brokenPeriodInterest: bpi,
+      principal: principal,
+      disbursement: disbursement, // Keep original for display
+      prepayment: manualPrepay, // Keep original for display
+      recurringPrepayment: recurring.amount,
+      extraPayment: extraPayment,
+      prepaymentMode: prepayMode,
+      roiChange: roiMap.has(idxForInputs) ? roiMap.get(idxForInputs) : null,
+      roiDerived: roiMap.has(idxForInputs) && !manualRoiMap.has(idxForInputs),
+      roiPolicy: roiPolicy,
+      roiPolicyOverride: roiChanged
+        ? roiPolicyMap.get(idxForInputs) || null
+        : null,
+      tenureCapped: tenureCapped,
+      emiPaid: emiPaid,
+      paid: !!actual,
+      paidDate: actual ? actual.date : null,
+      shortfall: shortfall,
+      penalInterest: penalInterest,
+      bounceCharge: bounce,
+      overdue: overdue + overdueCharges,
+      arrearsPaid: arrearsPaid,
+      balance: Math.max(balance, 0),
+    });
+
+    // Safety check
+    if (
+      !inPreEmi &&
+      !holiday &&
+      Math.abs(principal) < 1e-12 &&
+      prepay === 0 &&
+      disbursement === 0 &&
+      balance > 0.0001
+    ) {
+      warnings.push({
+        monthIndex: monthCount,
+        message: `Stopping at month ${monthCount}: No progress in reducing balance.`,
+      });
+      break;
+    }
+  }
+
+  const totalDisbursed = preEmi
+    ? preEmi.initialDisbursement + totalDisbursements
+    : P + totalDisbursements;
+  if (preEmi && totalDisbursed > P + 0.005) {
+    warnings.push({
+      monthIndex: null,
+      message: `Disbursed amount (${totalDisbursed.toFixed(
+        2
+      )}) exceeds the sanctioned loan amount (${P.toFixed(2)}).`,
+    });
+  }
+
+  if (overdue + overdueCharges > 0.005) {
+    warnings.push({
+      monthIndex: null,
+      message: `${(overdue + overdueCharges).toFixed(
+        2
+      )} is still overdue when the loan closes.`,
+    });
+  }
+
+  return {
+    schedule,
+    totals: {
+      ...summarizeSchedule(schedule),
+      ...borrowingCost(
+        schedule,
+        scenario,
+        preEmi ? preEmi.initialDisbursement : P,
+        charges
+      ),
+      overdueAtClose: overdue + overdueCharges,
+      openingBalance,
+      totalDisbursements,
+      totalDisbursed,
+      preEmiMonths,
+      preEmiInterest,
+      emiStartMonth: calendar.monthKey(preEmi ? preEmi.emiStartMonth : 1),
+      tenureCap,
+      tenureCapHits: schedule.filter((r) => r.tenureCapped).length,
+      benchmarkResets: schedule.filter((r) => r.roiDerived).length,
+      dayCountConvention: calendar.convention,
+      brokenPeriodDays: calendar.brokenPeriodDays,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Aggregate figures for a schedule produced by the engine.
+ */
+function summarizeSchedule(schedule) {
+  const sum = (key) => schedule.reduce((s, r) => s + (Number(r[key]) || 0), 0);
+  return {
+    months: schedule.length,
+    totalInterest: sum("interest"),
+    totalPrincipal: sum("principal"),
+    totalDisbursements: sum("disbursement"),
+    totalPrepayments:
+      sum("prepayment") + sum("recurringPrepayment") + sum("extraPayment"),
+    totalRecurringPrepayments: sum("recurringPrepayment"),
+    brokenPeriodInterest: sum("brokenPeriodInterest"),
+    capitalisedInterest: sum("capitalisedInterest"),
+    missedPayments: schedule.filter((r) => r.shortfall > 0).length,
+    penalInterest: sum("penalInterest"),
+    bounceCharges: sum("bounceCharge"),
+    delinquencyCost: sum("penalInterest") + sum("bounceCharge"),
+    finalEMI: schedule.length ? schedule[schedule.length - 1].emi : 0,
+  };
+}
+
+/**
+ * Where the loan stands by the rows marked paid: EMIs paid and left, the
+ * amount paid so far and the real outstanding (balance after the last paid
+ * row plus anything overdue). With nothing marked paid, the rows due on or
+ * before `asOf` (if given) count as paid to plan; `planned` is then true.
+ */
+function paymentProgress(schedule, totals, asOf) {
+  let lastPaid = -1;
+  let paidEmis = 0;
+  let amountPaid = 0;
+  schedule.forEach((row, idx) => {
+    if (!row.paid) return;
+    lastPaid = idx;
+    paidEmis++;
+    amountPaid += row.emiPaid || 0;
+  });
+  const planned = paidEmis === 0 && Boolean(asOf);
+  if (planned) {
+    const cutoff = new Date(asOf).getTime();
+    schedule.forEach((row, idx) => {
+      if (new Date(row.dueDate).getTime() > cutoff) return;
+      lastPaid = idx;
+      paidEmis++;
+      amountPaid += row.emiDue;
+    });
+  }
+  const last = schedule[lastPaid];
+  return {
+    planned,
+    paidEmis,
+    emisLeft: schedule.length - (lastPaid + 1),
+    amountPaid,
+    lastPaidDate: last ? last.paidDate : null,
+    nextDue: schedule[lastPaid + 1] || null,
+    outstanding: last
+      ? last.balance + (last.overdue || 0)
+      : (totals && totals.openingBalance) || 0,
+  };
+}
+
+/////////////////////// Tax benefits (India) ///////////////////////
+
+const TAX_REGIME_OLD = "old";
+const TAX_REGIME_NEW = "new";
+// Default caps: Section 24(b) interest on a self-occupied home, Section 80C
+// principal (shared with other 80C investments); cess on the tax saved
+const SECTION_24B_CAP = 200000;
+const SECTION_80C_CAP = 150000;
+const TAX_CESS_PERCENT = 4;
+
+/** Financial year (April–March) of a date, as its starting calendar year. */
+function financialYearOf(date) {
+  const d = new Date(date);
+  return d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+}
+
+function financialYearLabel(fy) {
+  return `FY ${fy}-${String((fy + 1) % 100).padStart(2, "0")}`;
+}
+
+/**
+ * Yearly home-loan tax benefits for a schedule. `tax` is
+ * { regime, slabRate, interestCap, principalCap, other80C }:
+ * interest paid is deducted under 24(b) up to `interestCap`, principal
+ * (EMI principal plus prepayments and overpayments) under 80C up to
+ * `principalCap` less `other80C`; the new regime allows neither. Pre-EMI
+ * interest counts in five equal parts from the year full EMI starts.
+ * Savings are at `slabRate` % plus cess.
+ *
+ * Returns { years: [{ fy, label, interest, principal, preConstruction,
+ * interestDeduction, principalDeduction, taxSaved, refundDate }],
+ * totalTaxSaved, totalInterest, postTaxInterest }.
+ */
+function calculateTaxBenefits(schedule, tax) {
+  const t = tax || {};
+  const oldRegime = t.regime !== TAX_REGIME_NEW;
+  const slab = Math.max(0, Number(t.slabRate) || 0) / 100;
+  const capOr = (value, fallback) =>
+    value === undefined || value === null || value === ""
+      ? fallback
+      : Math.max(0, Number(value) || 0);
+  const interestCap = capOr(t.interestCap, SECTION_24B_CAP);
+  const principalCap = Math.max(
+    0,
+    capOr(t.principalCap, SECTION_80C_CAP) - (Number(t.other80C) || 0)
+  );
+
+  const byYear = new Map();
+  const yearFor = (fy) => {
+    if (!byYear.has(fy)) {
+      byYear.set(fy, { fy, interest: 0, principal: 0, preConstruction: 0 });
+    }
+    return byYear.get(fy);
+  };
+
+  let preEmiInterest = 0;
+  let possessionYear = null;
+  schedule.forEach((row) => {
+    const fy = financialYearOf(row.dueDate);
+    const year = yearFor(fy);
+    const interestPaid = row.interest - (row.capitalisedInterest || 0);
+    if (row.preEmi) {
+      preEmiInterest += interestPaid;
+    } else {
+      if (possessionYear === null) possessionYear = fy;
+      year.interest += interestPaid;
+    }
+    year.principal +=
+      row.principal +
+      (row.prepayment || 0) +
+      (row.recurringPrepayment || 0) +
+      (row.extraPayment || 0);
+  });
+
+  if (preEmiInterest > 0 && possessionYear !== null) {
+    for (let i = 0; i < 5; i++) {
+      yearFor(possessionYear + i).preConstruction += preEmiInterest / 5;
+    }
+  }
+
+  const years = [...byYear.values()]
+    .sort((a, b) => a.fy - b.fy)
+    .map((year) => {
+      const interestDeduction = oldRegime
+        ? Math.min(year.interest + year.preConstruction, interestCap)
+        : 0;
+      const principalDeduction = oldRegime
+        ? Math.min(Math.max(0, year.principal), principalCap)
+        : 0;
+      return {
+        ...year,
+        label: financialYearLabel(year.fy),
+        interestDeduction,
+        principalDeduction,
+        taxSaved:
+          (interestDeduction + principalDeduction) *
+          slab *
+          (1 + TAX_CESS_PERCENT / 100),
+        refundDate: new Date(year.fy + 1, 2, 31).toISOString(),
+      };
+    });
+
+  const totalTaxSaved = years.reduce((s, y) => s + y.taxSaved, 0);
+  const totalInterest =
+    years.reduce((s, y) => s + y.interest, 0) + preEmiInterest;
+  return {
+    years,
+    totalTaxSaved,
+    totalInterest,
+    postTaxInterest: totalInterest - totalTaxSaved,
+  };
+}
+
+/**
+ * Effective annual rate (%) after tax: the loan's cash flows plus each
+ * year's tax saving received at the end of its financial year.
+ */
+function postTaxEffectiveRate(schedule, scenario, taxBenefits) {
+  const loanAmount = Number(scenario.loanAmount) || 0;
+  const received =
+    scenario.preEmi && scenario.preEmi.enabled
+      ? Number(scenario.preEmi.initialDisbursement) || 0
+      : loanAmount;
+  const charges = resolveCharges(scenario.charges, loanAmount);
+  const flows = loanCashFlows(
+    schedule,
+    scenarioStartDate(scenario),
+    received,
+    charges.upfront
+  ).concat(
+    taxBenefits.years.map((year) => ({
+      date: new Date(year.refundDate),
+      amount: year.taxSaved,
+    }))
+  );
+  const xirr = calculateXIRR(flows);
+  return xirr === null ? null : xirr * 100;
+}
+
+/////////////////////// Yearly statement ///////////////////////
+
+const YEAR_FINANCIAL = "financial";
+const YEAR_CALENDAR = "calendar";
+
+/**
+ * Yearly totals of a schedule, by financial (April–March) or calendar year
+ * of each row's due date. Each year also carries the range of schedule
+ * indexes it covers and its closing balance.
+ */
+function aggregateByYear(schedule, yearType) {
+  const financial = yearType !== YEAR_CALENDAR;
+  const years = [];
+  schedule.forEach((row, idx) => {
+    const date = new Date(row.dueDate);
+    const key = financial ? financialYearOf(date) : date.getFullYear();
+    let year = years[years.length - 1];
+    if (!year || year.year !== key) {
+      year = {
+        year: key,
+        label: financial ? financialYearLabel(key) : `CY ${key}`,
+        firstIdx: idx,
+        lastIdx: idx,
+        months: 0,
+        emi: 0,
+        interest: 0,
+        principal: 0,
+        disbursement: 0,
+        prepayment: 0,
+        closingBalance: 0,
+      };
+      years.push(year);
+    }
+    year.lastIdx = idx;
+    year.months += 1;
+    year.emi += row.emi || 0;
+    year.interest += row.interest || 0;
+    year.principal += row.principal || 0;
+    year.disbursement += row.disbursement || 0;
+    year.prepayment +=
+      (row.prepayment || 0) +
+      (row.recurringPrepayment || 0) +
+      (row.extraPayment || 0);
+    year.closingBalance = row.balance;
+  });
+  return years;
+}
+
+/////////////////////// Scenario comparison ///////////////////////
+
+/**
+ * Key metrics of one scenario for side-by-side comparison: its simulated
+ * schedule against its own baseline, plus the balance after every EMI.
+ */
+function scenarioMetrics(scenario) {
+  const baseline = generateBaselineSchedule(scenario);
+  const result = simulateLoan(scenario);
+  const schedule = result.schedule;
+  const firstEmiRow =
+    schedule.find((row) => !row.preEmi && !row.moratorium) || schedule[0];
+  const lastRow = schedule[schedule.length - 1];
+  return {
+    emi: firstEmiRow ? firstEmiRow.emi : 0,
+    finalEMI: result.totals.finalEMI,
+    months: schedule.length,
+    completionDate: lastRow ? lastRow.dueDate : null,
+    totalInterest: result.totals.totalInterest,
+    interestSaved: baseline.totals.totalInterest - result.totals.totalInterest,
+    totalCharges: result.totals.totalCharges,
+    xirr: result.totals.xirr,
+    balances: schedule.map((row) => ({
+      date: row.dueDate,
+      balance: row.balance,
+    })),
+  };
+}
+
+/////////////////////// Scenario schema ///////////////////////
+
+// Version written to scenario files; older files are upgraded on load by
+// SCENARIO_MIGRATIONS.
+const SCENARIO_VERSION = "3.4";
+
+const AMOUNT_FIELD = { type: "number", min: 0 };
+const MONTH_FIELD = { type: "integer", min: 1 };
+const CALENDAR_MONTH_FIELD = { type: "month" };
+
+// Field rules: `type` is number | integer | string | boolean | date |
+// month (calendar month "YYYY-MM") | object (its `fields`) | array (of
+// `items`) | map (calendar month → `values`).
+// Numbers take `min` / `max`, strings `oneOf`; `nullable` allows null,
+// `required` fields must be present and `check` adds a cross-field test.
+const SCENARIO_SCHEMA = {
+  type: "object",
+  fields: {
+    id: { type: "string", required: true },
+    timestamp: { type: "date" },
+    version: { type: "string" },
+    loanStartDate: { type: "date" },
+    loanAmount: { type: "number", required: true, min: 1 },
+    roiStart: { type: "number", required: true, min: 0, max: 100 },
+    tenureMonths: {
+      type: "integer",
+      required: true,
+      min: 1,
+      max: SAFE_MONTH_CAP,
+    },
+    repaymentStructure: {
+      type: "object",
+      fields: {
+        type: {
+          type: "string",
+          oneOf: [STRUCTURE_FLAT, STRUCTURE_STEP_UP, STRUCTURE_STEP_DOWN],
+        },
+        stepPercent: { type: "number", min: 0, max: 100 },
+      },
+    },
+    preEmi: {
+      type: "object",
+      fields: {
+        enabled: { type: "boolean" },
+        initialDisbursement: AMOUNT_FIELD,
+        emiStartMonth: { ...CALENDAR_MONTH_FIELD, nullable: true },
+      },
+    },
+    dayCount: {
+      type: "object",
+      fields: {
+        convention: { type: "string", oneOf: DAY_COUNT_CONVENTIONS },
+        emiDueDay: { type: "integer", min: 1, max: 31, nullable: true },
+      },
+    },
+    rateResetPolicy: {
+      type: "object",
+      fields: {
+        mode: { type: "string", oneOf: RATE_RESET_POLICIES },
+        capType: {
+          type: "string",
+          oneOf: [TENURE_CAP_EXTENSION, TENURE_CAP_AGE],
+        },
+        extensionYears: AMOUNT_FIELD,
+        borrowerAge: AMOUNT_FIELD,
+        maxAge: AMOUNT_FIELD,
+      },
+    },
+    charges: {
+      type: "object",
+      fields: {
+        processingFee: AMOUNT_FIELD,
+        processingFeeType: { type: "string", oneOf: [FEE_PERCENT, FEE_AMOUNT] },
+        legalCharges: AMOUNT_FIELD,
+        valuationCharges: AMOUNT_FIELD,
+        insurancePremium: AMOUNT_FIELD,
+        insuranceFinanced: { type: "boolean" },
+      },
+    },
+    tax: {
+      type: "object",
+      fields: {
+        enabled: { type: "boolean" },
+        regime: { type: "string", oneOf: [TAX_REGIME_OLD, TAX_REGIME_NEW] },
+        slabRate: { type: "number", min: 0, max: 100 },
+        interestCap: AMOUNT_FIELD,
+        principalCap: AMOUNT_FIELD,
+        other80C: AMOUNT_FIELD,
+      },
+    },
+    floatingRate: {
+      type: "object",
+      fields: {
+        enabled: { type: "boolean" },
+        series: {
+          type: "array",
+          items: {
+            type: "object",
+            fields: {
+              date: { type: "date", required: true },
+              rate: { type: "number", required: true },
+            },
+          },
+        },
+        spread: { type: "number" },
+        resetFrequency: MONTH_FIELD,
+        resetLag: { type: "integer", min: 0 },
+      },
+    },
+    delinquency: {
+      type: "object",
+      fields: {
+        penalRate: AMOUNT_FIELD,
+        bounceCharge: AMOUNT_FIELD,
+      },
+    },
+    disbursements: { type: "map", values: AMOUNT_FIELD },
+    prepayments: { type: "map", values: AMOUNT_FIELD },
+    prepaymentModes: {
+      type: "map",
+      values: {
+        type: "string",
+        oneOf: [PREPAY_REDUCE_TENURE, PREPAY_REDUCE_EMI],
+      },
+    },
+    emiPayments: { type: "map", values: AMOUNT_FIELD },
+    actualPayments: {
+      type: "map",
+      values: {
+        type: "object",
+        fields: {
+          date: { type: "date", required: true },
+          amount: { ...AMOUNT_FIELD, required: true },
+        },
+      },
+    },
+    roiChanges: {
+      type: "map",
+      values: { type: "number", min: 0, max: 100 },
+    },
+    roiChangePolicies: {
+      type: "map",
+      values: { type: "string", oneOf: RATE_RESET_POLICIES },
+    },
+    notes: { type: "map", values: { type: "string" } },
+    recurringPrepayments: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          amount: { ...AMOUNT_FIELD, required: true },
+          frequency: {
+            type: "string",
+            oneOf: Object.keys(RECURRING_FREQUENCIES),
+          },
+          startMonth: { ...CALENDAR_MONTH_FIELD, nullable: true },
+          endMonth: { ...CALENDAR_MONTH_FIELD, nullable: true },
+          stepUpPercent: AMOUNT_FIELD,
+          mode: {
+            type: "string",
+            oneOf: [PREPAY_REDUCE_TENURE, PREPAY_REDUCE_EMI],
+          },
+        },
+        check: (rule) =>
+          rule.endMonth && rule.startMonth && rule.endMonth < rule.startMonth
+            ? "ends before it starts"
+            : null,
+      },
+    },
+    moratoriums: {
+      type: "array",
+      items: {
+        type: "object",
+        fields: {
+          startMonth: { ...CALENDAR_MONTH_FIELD, required: true },
+          endMonth: CALENDAR_MONTH_FIELD,
+          interest: {
+            type: "string",
+            oneOf: [MORATORIUM_CAPITALISE, MORATORIUM_PAY_INTEREST],
+          },
+          after: {
+            type: "string",
+            oneOf: [MORATORIUM_RAISE_EMI, MORATORIUM_EXTEND_TENURE],
+          },
+        },
+        check: (range) =>
+          range.endMonth && range.endMonth < range.startMonth
+            ? "ends before it starts"
+            : null,
+      },
+    },
+  },
+};
+
+// Scenario fields holding one-off events keyed by calendar month
+const EVENT_MAP_FIELDS = [
+  "disbursements",
+  "prepayments",
+  "prepaymentModes",
+  "emiPayments",
+  "roiChanges",
+  "roiChangePolicies",
+];
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check `value` against a schema rule, pushing every problem to `issues` as
+ * { path, message, fixed, required }. Returns { value } with what to keep
+ * (numbers given as text are read as numbers) or {} when it is dropped.
+ */
+function checkField(value, rule, path, issues) {
+  const problem = (message, fixed) => {
+    issues.push({
+      path,
+      message,
+      fixed: !!fixed,
+      required: !!rule.required,
+    });
+    return {};
+  };
+  if (value === undefined) {
+    return rule.required ? problem("is missing") : {};
+  }
+  if (value === null) {
+    return rule.nullable ? { value } : problem("is empty");
+  }
+
+  switch (rule.type) {
+    case "number":
+    case "integer": {
+      let n = value;
+      if (typeof n === "string" && n.trim() !== "" && !isNaN(Number(n))) {
+        n = Number(n);
+        problem(`text "${value}" read as a number`, true);
+      }
+      if (typeof n !== "number" || !isFinite(n)) {
+        return problem(`must be a number, not ${JSON.stringify(value)}`);
+      }
+      if (rule.type === "integer" && !Number.isInteger(n)) {
+        return problem(`must be a whole number, not ${n}`);
+      }
+      if (rule.min !== undefined && n < rule.min) {
+        return problem(`must be at least ${rule.min}, not ${n}`);
+      }
+      if (rule.max !== undefined && n > rule.max) {
+        return problem(`must be at most ${rule.max}, not ${n}`);
+      }
+      return { value: n };
+    }
+    case "string":
+      if (typeof value !== "string") {
+        return problem(`must be text, not ${JSON.stringify(value)}`);
+      }
+      if (rule.oneOf && !rule.oneOf.includes(value)) {
+        return problem(
+          `must be one of ${rule.oneOf.join(", ")}, not "${value}"`
+        );
+      }
+      return { value };
+    case "month":
+      if (typeof value !== "string" || !MONTH_KEY_PATTERN.test(value)) {
+        return problem(
+          `must be a calendar month (YYYY-MM), not ${JSON.stringify(value)}`
+        );
+      }
+      return { value };
+    case "boolean":
+      if (typeof value !== "boolean") {
+        return problem(`must be true or false, not ${JSON.stringify(value)}`);
+      }
+      return { value };
+    case "date":
+      if (typeof value !== "string" || isNaN(new Date(value).getTime())) {
+        return problem(`must be a date, not ${JSON.stringify(value)}`);
+      }
+      return { value };
+    case "object": {
+      if (!isPlainObject(value)) return problem("must be an object");
+      const out = {};
+      let complete = true;
+      Object.keys(value).forEach((key) => {
+        const fieldPath = path ? `${path}.${key}` : key;
+        const fieldRule = rule.fields[key];
+        if (!fieldRule) {
+          issues.push({
+            path: fieldPath,
+            message: "is not a known field",
+            fixed: false,
+            required: false,
+          });
+          return;
+        }
+        const result = checkField(value[key], fieldRule, fieldPath, issues);
+        if ("value" in result) out[key] = result.value;
+      });
+      Object.keys(rule.fields).forEach((key) => {
+        if (!rule.fields[key].required) return;
+        if (value[key] === undefined) {
+          checkField(
+            undefined,
+            rule.fields[key],
+            path ? `${path}.${key}` : key,
+            issues
+          );
+        }
+        if (!(key in out)) complete = false;
+      });
+      if (!complete) return {};
+      const message = rule.check ? rule.check(out) : null;
+      return message ? problem(message) : { value: out };
+    }
+    case "array": {
+      if (!Array.isArray(value)) return problem("must be a list");
+      const out = [];
+      value.forEach((item, i) => {
+        const result = checkField(item, rule.items, `${path}[${i}]`, issues);
+        if ("value" in result) out.push(result.value);
+      });
+      return { value: out };
+    }
+    case "map": {
+      if (!isPlainObject(value)) return problem("must be an object");
+      const out = {};
+      Object.keys(value).forEach((key) => {
+        const entryPath = `${path}.${key}`;
+        if (!MONTH_KEY_PATTERN.test(key)) {
+          issues.push({
+            path: entryPath,
+            message: "is not a calendar month (YYYY-MM)",
+            fixed: false,
+            required: false,
+          });
+          return;
+        }
+        const result = checkField(value[key], rule.values, entryPath, issues);
+        if ("value" in result) out[key] = result.value;
+      });
+      return { value: out };
+    }
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Every field-level problem in a scenario file object, as
+ * [{ path, message, fixed, required }].
+ */
+function validateScenario(data) {
+  const issues = [];
+  checkField(data, SCENARIO_SCHEMA, "", issues);
+  return issues;
+}
+
+function compareVersions(a, b) {
+  const pa = String(a).split(".").map(Number);
+  const pb = String(b).split(".").map(Number);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+// Each step upgrades a scenario file from one version to the next, noting
+// what it changed. Files saved before 2.1 carried no version.
+const SCENARIO_MIGRATIONS = [
+  {
+    from: "2.0",
+    to: "2.1",
+    migrate(data, notes) {
+      if (!data.loanStartDate && data.timestamp) {
+        notes.push("Loan start date taken from the time the file was saved");
+        return { ...data, loanStartDate: data.timestamp };
+      }
+      return data;
+    },
+  },
+  {
+    from: "2.1",
+    to: "3.0",
+    migrate(data, notes) {
+      const missing = [
+        "repaymentStructure",
+        "preEmi",
+        "dayCount",
+        "rateResetPolicy",
+        "charges",
+        "tax",
+        "floatingRate",
+        "delinquency",
+      ].filter((key) => data[key] === undefined);
+      if (missing.length > 0) {
+        notes.push(`Using default settings for ${missing.join(", ")}`);
+      }
+      return data;
+    },
+  },
+  {
+    from: "3.0",
+    to: "3.1",
+    migrate(data, notes) {
+      // Events were keyed by 0-based schedule row; place them on the
+      // calendar month that row fell due in
+      const dated = !isNaN(new Date(data.loanStartDate).getTime());
+      const calendar = buildPaymentCalendar(
+        dated ? data : { ...data, loanStartDate: undefined }
+      );
+      const upgraded = { ...data };
+      let converted = 0;
+      EVENT_MAP_FIELDS.forEach((field) => {
+        if (!isPlainObject(data[field])) return;
+        upgraded[field] = {};
+        Object.keys(data[field]).forEach((key) => {
+          const month = /^\d+$/.test(key)
+            ? calendar.monthKey(Number(key) + 1)
+            : key;
+          if (month !== key) converted++;
+          upgraded[field][month] = data[field][key];
+        });
+      });
+      if (converted > 0) {
+        notes.push(
+          dated
+            ? `${converted} row-numbered events placed on calendar months`
+            : `${converted} row-numbered events placed on calendar months ` +
+                "counted from today (the file has no loan start date)"
+        );
+      }
+      return upgraded;
+    },
+  },
+  {
+    // Added actualPayments; nothing to convert
+    from: "3.1",
+    to: "3.2",
+    migrate: (data) => data,
+  },
+  {
+    from: "3.2",
+    to: "3.3",
+    migrate(data, notes) {
+      // Recurring prepayment rules and moratoriums counted schedule months
+      // (1-based); place them on calendar months like the one-off events
+      const dated = !isNaN(new Date(data.loanStartDate).getTime());
+      const calendar = buildPaymentCalendar(
+        dated ? data : { ...data, loanStartDate: undefined }
+      );
+      let converted = 0;
+      const toMonthKey = (value) => {
+        const monthNumber = Number(value);
+        if (!Number.isInteger(monthNumber) || monthNumber < 1) return value;
+        converted++;
+        return calendar.monthKey(monthNumber);
+      };
+      const upgrade = (list) =>
+        Array.isArray(list)
+          ? list.map((item) =>
+              isPlainObject(item)
+                ? {
+                    ...item,
+                    startMonth: toMonthKey(item.startMonth),
+                    endMonth: toMonthKey(item.endMonth),
+                  }
+                : item
+            )
+          : list;
+      const upgraded = {
+        ...data,
+        recurringPrepayments: upgrade(data.recurringPrepayments),
+        moratoriums: upgrade(data.moratoriums),
+      };
+      if (converted > 0) {
+        const placed = `${converted} recurring prepayment / moratorium months placed on calendar months`;
+        notes.push(
+          dated
+            ? placed
+            : `${placed} counted from today (the file has no loan start date)`
+        );
+      }
+      return upgraded;
+    },
+  },
+  {
+    from: "3.3",
+    to: "3.4",
+    migrate(data, notes) {
+      // The pre-EMI start counted schedule months (1-based)
+      const preEmi = isPlainObject(data.preEmi) ? data.preEmi : null;
+      const monthNumber = preEmi ? Number(preEmi.emiStartMonth) : NaN;
+      if (!preEmi || !Number.isInteger(monthNumber) || monthNumber < 1) {
+        return data;
+      }
+      const dated = !isNaN(new Date(data.loanStartDate).getTime());
+      const calendar = buildPaymentCalendar(
+        dated ? data : { ...data, loanStartDate: undefined }
+      );
+      const emiStartMonth = calendar.monthKey(monthNumber);
+      notes.push(
+        `Full EMI start (month ${monthNumber}) placed on ${emiStartMonth}` +
+          (dated ? "" : " counted from today (the file has no loan start date)")
+      );
+      return { ...data, preEmi: { ...preEmi, emiStartMonth } };
+    },
+  },
+];
+
+/**
+ * Upgrade a scenario file object to SCENARIO_VERSION through the migration
+ * chain. Returns { scenario, notes }.
+ */
+function migrateScenario(data) {
+  const notes = [];
+  let scenario = { ...data };
+  let version = data.version ? String(data.version) : "2.0";
+  if (compareVersions(version, SCENARIO_VERSION) > 0) {
+    notes.push(
+      `Saved by a newer version (${version}); settings it added are ignored`
+    );
+    return { scenario, notes };
+  }
+  if (compareVersions(version, SCENARIO_MIGRATIONS[0].from) < 0) {
+    version = SCENARIO_MIGRATIONS[0].from;
+  }
+  SCENARIO_MIGRATIONS.forEach((step) => {
+    if (compareVersions(version, step.from) !== 0) return;
+    scenario = step.migrate(scenario, notes);
+    notes.push(`Upgraded from version ${step.from} to ${step.to}`);
+    version = step.to;
+  });
+  scenario.version = version;
+  return { scenario, notes };
+}
+
+/**
+ * Upgrade and validate a parsed scenario file. Returns
+ * { scenario, errors, report }: `scenario` is the cleaned current-version
+ * object, or null when `errors` lists required fields that are missing or
+ * invalid; `report` says what was upgraded, fixed or ignored, one readable
+ * line each.
+ */
+function prepareScenarioFile(data) {
+  if (!isPlainObject(data)) {
+    return {
+      scenario: null,
+      errors: ["The file does not contain a loan scenario"],
+      report: [],
+    };
+  }
+  const { scenario, notes } = migrateScenario(data);
+  const issues = [];
+  const result = checkField(scenario, SCENARIO_SCHEMA, "", issues);
+  const describe = (issue) => `${issue.path}: ${issue.message}`;
+  // Only required top-level fields make the file unusable; anything else
+  // wrong is dropped
+  const isError = (issue) =>
+    issue.required && !issue.fixed && !/[.[]/.test(issue.path);
+  const errors = issues.filter(isError).map(describe);
+  return {
+    scenario: errors.length === 0 ? result.value : null,
+    errors,
+    report: [
+      ...notes,
+      ...issues
+        .filter((issue) => issue.fixed)
+        .map((issue) => `Fixed ${describe(issue)}`),
+      ...issues
+        .filter((issue) => !issue.fixed && !isError(issue))
+        .map((issue) => `Ignored ${describe(issue)}`),
+    ],
+  };
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PREPAY_REDUCE_TENURE,
+    PREPAY_REDUCE_EMI,
+    RATE_RESET_KEEP_EMI,
+    RATE_RESET_KEEP_TENURE,
+    RATE_RESET_HYBRID,
+    TENURE_CAP_EXTENSION,
+    TENURE_CAP_AGE,
+    FEE_PERCENT,
+    FEE_AMOUNT,
+    TAX_REGIME_OLD,
+    TAX_REGIME_NEW,
+    SECTION_24B_CAP,
+    SECTION_80C_CAP,
+    TAX_CESS_PERCENT,
+    YEAR_FINANCIAL,
+    YEAR_CALENDAR,
+    SCENARIO_VERSION,
+    MONTH_KEY_PATTERN,
+    SCENARIO_SCHEMA,
+    SCENARIO_MIGRATIONS,
+    MORATORIUM_CAPITALISE,
+    MORATORIUM_PAY_INTEREST,
+    MORATORIUM_RAISE_EMI,
+    MORATORIUM_EXTEND_TENURE,
+    DAY_COUNT_30_360,
+    DAY_COUNT_ACTUAL_365,
+    DAY_COUNT_ACTUAL_ACTUAL,
+    DAY_COUNT_CONVENTIONS,
+    RECURRING_FREQUENCIES,
+    STRUCTURE_FLAT,
+    STRUCTURE_STEP_UP,
+    STRUCTURE_STEP_DOWN,
+    calculateEMI,
+    calculateRemainingMonths,
+    repaymentStepRate,
+    emiStepFactor,
+    calculateSteppedEMI,
+    calculateSteppedRemainingMonths,
+    addMonths,
+    formatDate,
+    daysBetween,
+    yearFraction,
+    buildPaymentCalendar,
+    normalizeBenchmarkSeries,
+    deriveBenchmarkRoiChanges,
+    resolveTenureCap,
+    resolvePreEmi,
+    recurringPrepaymentFor,
+    moratoriumFor,
+    resolveCharges,
+    loanCashFlows,
+    calculateXIRR,
+    financialYearOf,
+    financialYearLabel,
+    calculateTaxBenefits,
+    postTaxEffectiveRate,
+    aggregateByYear,
+    scenarioMetrics,
+    validateScenario,
+    migrateScenario,
+    prepareScenarioFile,
+    generateBaselineSchedule,
+    simulateLoan,
+    summarizeSchedule,
+    paymentProgress,
+  };
+}
@@ -0,0 +1,789 @@
+// Run with: node --test
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  simulateLoan,
+  loanCashFlows,
+  calculateTaxBenefits,
+  migrateScenario,
+  paymentProgress,
+  aggregateByYear,
+  SCENARIO_VERSION,
+  generateBaselineSchedule,
+  calculateEMI,
+  PREPAY_REDUCE_EMI,
+  RATE_RESET_KEEP_EMI,
+  RATE_RESET_KEEP_TENURE,
+  RATE_RESET_HYBRID,
+  PREPAY_REDUCE_TENURE,
+  STRUCTURE_STEP_UP,
+  STRUCTURE_STEP_DOWN,
+  DAY_COUNT_30_360,
+  DAY_COUNT_ACTUAL_365,
+  DAY_COUNT_ACTUAL_ACTUAL,
+  yearFraction,
+  MORATORIUM_CAPITALISE,
+  MORATORIUM_PAY_INTEREST,
+  MORATORIUM_RAISE_EMI,
+  MORATORIUM_EXTEND_TENURE,
+  resolveCharges,
+  calculateXIRR,
+  FEE_PERCENT,
+  FEE_AMOUNT,
+  TAX_REGIME_OLD,
+  TAX_REGIME_NEW,
+  SECTION_24B_CAP,
+  SECTION_80C_CAP,
+  YEAR_FINANCIAL,
+  YEAR_CALENDAR,
+  scenarioMetrics,
+  SCENARIO_MIGRATIONS,
+  prepareScenarioFile,
+  validateScenario,
+} = require("./loan-engine.js");
+
+const baseScenario = {
+  loanAmount: 1000000,
+  roiStart: 9,
+  tenureMonths: 120,
+  loanStartDate: "2024-01-10T00:00:00.000Z",
+  delinquency: { penalRate: 24, bounceCharge: 500 },
+};
+
+test("arrears clear once payments resume", () => {
+  const { schedule, totals } = simulateLoan({
+    ...baseScenario,
+    emiPayments: { "2024-03": 0, "2024-04": 5000 },
+  });
+  const row = (month) => schedule.find((r) => r.month === month);
+
+  assert.ok(row("2024-03").overdue > 0);
+  assert.ok(row("2024-04").overdue > row("2024-03").overdue);
+  // The first month without a record catches up, so penal interest stops
+  assert.ok(row("2024-05").penalInterest > 0);
+  assert.strictEqual(row("2024-05").overdue, 0);
+  assert.strictEqual(row("2024-06").penalInterest, 0);
+  assert.strictEqual(totals.overdueAtClose, 0);
+  assert.strictEqual(totals.missedPayments, 2);
+});
+
+test("cash flows follow the payments actually made", () => {
+  const { schedule } = simulateLoan({
+    ...baseScenario,
+    emiPayments: { "2024-03": 0 },
+    actualPayments: { "2024-06": { date: "2024-06-10", amount: 50000 } },
+  });
+  const flows = loanCashFlows(schedule, new Date("2024-01-10"), 1000000, 0);
+  const row = schedule.find((r) => r.month === "2024-06");
+  const flow = flows[schedule.indexOf(row) + 1];
+  assert.ok(row.extraPayment > 0);
+  assert.ok(
+    Math.abs(-flow.amount - (row.emi + row.extraPayment)) < 0.01,
+    "overpayment is paid out"
+  );
+  const missed = schedule.find((r) => r.month === "2024-03");
+  assert.ok(Math.abs(flows[schedule.indexOf(missed) + 1].amount) < 0.01);
+  // The catch-up pays the missed EMI, penal interest and bounce charge
+  const caughtUp = schedule.find((r) => r.month === "2024-04");
+  assert.ok(
+    Math.abs(
+      -flows[schedule.indexOf(caughtUp) + 1].amount -
+        (caughtUp.emi +
+          missed.emiDue +
+          missed.bounceCharge +
+          caughtUp.penalInterest)
+    ) < 0.01,
+    "arrears and charges are paid out when caught up"
+  );
+});
+
+test("80C principal includes overpayments", () => {
+  const scenario = {
+    ...baseScenario,
+    actualPayments: { "2024-06": { date: "2024-06-10", amount: 50000 } },
+  };
+  const { schedule } = simulateLoan(scenario);
+  const extra = schedule.find((r) => r.month === "2024-06").extraPayment;
+  const plain = calculateTaxBenefits(simulateLoan(baseScenario).schedule, {
+    principalCap: 1e9,
+  });
+  const { years } = calculateTaxBenefits(schedule, { principalCap: 1e9 });
+  const paidIn2024 = (result) =>
+    result.find((year) => year.fy === 2024).principal;
+  assert.ok(extra > 0);
+  assert.ok(paidIn2024(years) - paidIn2024(plain.years) > extra - 1);
+});
+
+test("moratoriums and recurring rules stay on their calendar months", () => {
+  const scenario = {
+    ...baseScenario,
+    recurringPrepayments: [
+      { amount: 10000, frequency: "yearly", startMonth: "2024-09" },
+    ],
+    moratoriums: [{ startMonth: "2024-06", endMonth: "2024-07" }],
+  };
+  [
+    "2024-01-10T00:00:00.000Z",
+    "2023-11-10T00:00:00.000Z",
+    "2024-03-05T00:00:00.000Z",
+  ].forEach((loanStartDate) => {
+    const { schedule } = simulateLoan({ ...scenario, loanStartDate });
+    const months = (keep) => schedule.filter(keep).map((row) => row.month);
+    assert.deepStrictEqual(
+      months((row) => row.moratorium),
+      ["2024-06", "2024-07"]
+    );
+    assert.deepStrictEqual(
+      months((row) => row.recurringPrepayment > 0).slice(0, 2),
+      ["2024-09", "2025-09"]
+    );
+  });
+});
+
+test("month-numbered rules are placed on calendar months on upgrade", () => {
+  const { scenario, notes } = migrateScenario({
+    version: "3.2",
+    loanStartDate: "2024-01-10T00:00:00.000Z",
+    recurringPrepayments: [{ amount: 5000, startMonth: 3, endMonth: null }],
+    moratoriums: [{ startMonth: 6, endMonth: 8 }],
+  });
+  assert.strictEqual(scenario.version, SCENARIO_VERSION);
+  assert.strictEqual(scenario.recurringPrepayments[0].startMonth, "2024-04");
+  assert.strictEqual(scenario.recurringPrepayments[0].endMonth, null);
+  assert.deepStrictEqual(
+    [scenario.moratoriums[0].startMonth, scenario.moratoriums[0].endMonth],
+    ["2024-07", "2024-09"]
+  );
+  assert.ok(notes.some((note) => note.includes("calendar months")));
+});
+
+test("a payment of the billed amount on a reduce-EMI month is on time", () => {
+  const scenario = {
+    ...baseScenario,
+    prepayments: { "2024-06": 200000 },
+    prepaymentModes: { "2024-06": "emi" },
+  };
+  const planned = simulateLoan(scenario).schedule;
+  const row = planned.find((r) => r.month === "2024-06");
+  // The EMI drops after the prepayment, but the month bills the old one
+  assert.ok(row.emi < row.emiDue - 1);
+
+  // What the table records for a month ticked paid with no amount
+  const { schedule } = simulateLoan({
+    ...scenario,
+    actualPayments: {
+      "2024-06": {
+        date: "2024-06-10",
+        amount: Math.round(row.emiDue * 100) / 100,
+      },
+    },
+  });
+  const paid = schedule.find((r) => r.month === "2024-06");
+  const next = schedule.find((r) => r.month === "2024-07");
+  assert.strictEqual(paid.bounceCharge, 0);
+  assert.strictEqual(paid.overdue, 0);
+  assert.strictEqual(paid.extraPayment, 0);
+  assert.strictEqual(next.penalInterest, 0);
+});
+
+test("planned progress adds up the amounts billed", () => {
+  const { schedule, totals } = simulateLoan({
+    ...baseScenario,
+    prepayments: { "2024-03": 300000 },
+    prepaymentModes: { "2024-03": "emi" },
+  });
+  const progress = paymentProgress(schedule, totals, "2024-05-31");
+  const billed = schedule
+    .filter((r) => r.month <= "2024-05")
+    .reduce((s, r) => s + r.emiDue, 0);
+  assert.strictEqual(progress.planned, true);
+  assert.strictEqual(progress.paidEmis, 4);
+  assert.ok(Math.abs(progress.amountPaid - billed) < 0.01);
+  // The re-amortised month still bills the EMI before the prepayment
+  const march = schedule.find((r) => r.month === "2024-03");
+  assert.ok(march.emiDue - march.emi > 1);
+});
+
+test("XIRR reflects when a missed EMI is caught up", () => {
+  const free = { ...baseScenario, delinquency: {} };
+  const onTime = simulateLoan(free).totals.xirr;
+  const late = simulateLoan({ ...free, emiPayments: { "2024-03": 0 } }).totals
+    .xirr;
+  const charged = simulateLoan({
+    ...baseScenario,
+    emiPayments: { "2024-03": 0 },
+  }).totals.xirr;
+  // Paying a month late at no cost is cheaper; penal charges make it dearer
+  assert.ok(late < onTime);
+  assert.ok(charged > onTime);
+});
+
+test("yearly prepayments add up to the loan total", () => {
+  const { schedule, totals } = simulateLoan({
+    ...baseScenario,
+    prepayments: { "2024-05": 100000 },
+    actualPayments: { "2024-06": { date: "2024-06-10", amount: 50000 } },
+  });
+  const years = aggregateByYear(schedule, "financial");
+  const yearly = years.reduce((s, year) => s + year.prepayment, 0);
+  assert.ok(schedule.some((r) => r.extraPayment > 0));
+  assert.ok(Math.abs(yearly - totals.totalPrepayments) < 0.01);
+});
+
+test("the full EMI start stays on its calendar month", () => {
+  const scenario = {
+    ...baseScenario,
+    preEmi: {
+      enabled: true,
+      initialDisbursement: 400000,
+      emiStartMonth: "2024-09",
+    },
+    disbursements: { "2024-05": 300000, "2024-08": 300000 },
+  };
+  ["2024-01-10T00:00:00.000Z", "2023-12-20T00:00:00.000Z"].forEach(
+    (loanStartDate) => {
+      const { schedule, totals } = simulateLoan({ ...scenario, loanStartDate });
+      const firstFull = schedule.find((r) => !r.preEmi);
+      assert.strictEqual(firstFull.month, "2024-09");
+      assert.strictEqual(totals.emiStartMonth, "2024-09");
+    }
+  );
+});
+
+test("a month-numbered full EMI start is placed on upgrade", () => {
+  const { scenario, notes } = migrateScenario({
+    version: "3.3",
+    loanStartDate: "2024-01-10T00:00:00.000Z",
+    preEmi: { enabled: true, initialDisbursement: 0, emiStartMonth: 6 },
+  });
+  assert.strictEqual(scenario.version, SCENARIO_VERSION);
+  assert.strictEqual(scenario.preEmi.emiStartMonth, "2024-07");
+  assert.ok(notes.some((note) => note.includes("2024-07")));
+});
+
+test("without events the simulation follows the baseline schedule", () => {
+  const baseline = generateBaselineSchedule(baseScenario);
+  const { schedule, totals } = simulateLoan(baseScenario);
+  const emi = calculateEMI(1000000, 9 / 12 / 100, 120);
+
+  assert.strictEqual(schedule.length, 120);
+  assert.strictEqual(baseline.schedule.length, 120);
+  assert.ok(schedule.every((row) => Math.abs(row.emi - emi) < 1e-6));
+  assert.ok(Math.abs(totals.totalPrincipal - 1000000) < 0.01);
+  assert.ok(
+    Math.abs(totals.totalInterest - baseline.totals.totalInterest) < 0.01
+  );
+  assert.ok(schedule[schedule.length - 1].balance < 0.01);
+});
+
+test("a prepayment reduces tenure or EMI as chosen", () => {
+  const emi = simulateLoan(baseScenario).schedule[0].emi;
+  const prepay = { prepayments: { "2025-01": 100000 } };
+  const byTenure = simulateLoan({ ...baseScenario, ...prepay });
+  const byEmi = simulateLoan({
+    ...baseScenario,
+    ...prepay,
+    prepaymentModes: { "2025-01": PREPAY_REDUCE_EMI },
+  });
+  const after = (result) =>
+    result.schedule.find((row) => row.month === "2025-02");
+
+  // The default keeps the EMI and closes the loan sooner
+  assert.ok(byTenure.schedule.length < 120);
+  assert.ok(Math.abs(after(byTenure).emi - emi) < 1e-6);
+  // Reducing the EMI keeps the original tenure
+  assert.strictEqual(byEmi.schedule.length, 120);
+  assert.ok(after(byEmi).emi < emi);
+  assert.ok(byTenure.totals.totalInterest < byEmi.totals.totalInterest);
+});
+
+test("a rate rise follows the chosen reset policy", () => {
+  const rise = {
+    ...baseScenario,
+    roiChanges: { "2024-12": 12 },
+    rateResetPolicy: { capType: "extension", extensionYears: 1 },
+  };
+  const run = (mode) =>
+    simulateLoan({
+      ...rise,
+      rateResetPolicy: { ...rise.rateResetPolicy, mode },
+    });
+  const emi = simulateLoan(baseScenario).schedule[0].emi;
+  const keepEmi = run(RATE_RESET_KEEP_EMI);
+  const keepTenure = run(RATE_RESET_KEEP_TENURE);
+  const hybrid = run(RATE_RESET_HYBRID);
+  const after = (result) =>
+    result.schedule.find((row) => row.month === "2025-01");
+
+  assert.ok(keepEmi.schedule.length > 132);
+  assert.ok(Math.abs(after(keepEmi).emi - emi) < 1e-6);
+  assert.strictEqual(keepTenure.schedule.length, 120);
+  assert.ok(after(keepTenure).emi > emi);
+  // Hybrid extends the tenure up to the cap, then raises the EMI
+  assert.strictEqual(hybrid.totals.tenureCap, 132);
+  assert.strictEqual(hybrid.schedule.length, 132);
+  assert.strictEqual(hybrid.totals.tenureCapHits, 1);
+  assert.ok(
+    after(hybrid).emi > emi && after(hybrid).emi < after(keepTenure).emi
+  );
+
+  // A per-change policy overrides the global one
+  const overridden = simulateLoan({
+    ...rise,
+    rateResetPolicy: { ...rise.rateResetPolicy, mode: RATE_RESET_KEEP_EMI },
+    roiChangePolicies: { "2024-12": RATE_RESET_KEEP_TENURE },
+  });
+  assert.strictEqual(overridden.schedule.length, 120);
+  assert.strictEqual(
+    overridden.schedule.find((row) => row.month === "2024-12").roiPolicy,
+    RATE_RESET_KEEP_TENURE
+  );
+});
+
+test("a recurring plan pays on schedule and steps up yearly", () => {
+  const { schedule, totals } = simulateLoan({
+    ...baseScenario,
+    recurringPrepayments: [
+      {
+        amount: 10000,
+        frequency: "yearly",
+        startMonth: "2024-06",
+        stepUpPercent: 10,
+      },
+    ],
+  });
+  const paid = schedule.filter((row) => row.recurringPrepayment > 0);
+
+  assert.deepStrictEqual(
+    paid.slice(0, 3).map((row) => row.month),
+    ["2024-06", "2025-06", "2026-06"]
+  );
+  assert.ok(Math.abs(paid[1].recurringPrepayment - 11000) < 0.01);
+  assert.ok(Math.abs(paid[2].recurringPrepayment - 12100) < 0.01);
+  assert.strictEqual(paid[0].prepaymentMode, PREPAY_REDUCE_TENURE);
+  assert.ok(schedule.length < 120);
+  assert.ok(
+    Math.abs(totals.totalRecurringPrepayments - totals.totalPrepayments) < 0.01
+  );
+});
+
+test("stepped EMIs change every loan year and still close on tenure", () => {
+  const emi = simulateLoan(baseScenario).schedule[0].emi;
+  const run = (type) =>
+    simulateLoan({
+      ...baseScenario,
+      repaymentStructure: { type, stepPercent: 5 },
+    }).schedule;
+  const up = run(STRUCTURE_STEP_UP);
+  const down = run(STRUCTURE_STEP_DOWN);
+
+  [up, down].forEach((schedule) => {
+    assert.strictEqual(schedule.length, 120);
+    assert.ok(schedule[schedule.length - 1].balance < 0.01);
+    assert.ok(schedule[12].emiStepped && !schedule[11].emiStepped);
+    assert.ok(Math.abs(schedule[11].emi - schedule[0].emi) < 1e-6);
+  });
+  assert.ok(up[0].emi < emi);
+  assert.ok(Math.abs(up[12].emi - up[0].emi * 1.05) < 1e-6);
+  assert.ok(down[0].emi > emi);
+  assert.ok(Math.abs(down[12].emi - down[0].emi * 0.95) < 1e-6);
+});
+
+test("pre-EMI pays interest on the disbursed amount until full EMI", () => {
+  const { schedule, totals } = simulateLoan({
+    ...baseScenario,
+    loanAmount: 3000000,
+    preEmi: { enabled: true, initialDisbursement: 1000000 },
+    disbursements: { "2024-06": 1000000, "2024-10": 1000000 },
+  });
+  const preEmiRows = schedule.filter((row) => row.preEmi);
+
+  // Full EMI starts the month after the last tranche
+  assert.strictEqual(totals.emiStartMonth, "2024-11");
+  assert.strictEqual(totals.preEmiMonths, 9);
+  assert.strictEqual(preEmiRows.length, 9);
+  assert.ok(preEmiRows.every((row) => row.principal === 0));
+  assert.ok(Math.abs(schedule[0].emi - 7500) < 0.01);
+  assert.ok(
+    Math.abs(
+      totals.preEmiInterest - preEmiRows.reduce((s, row) => s + row.interest, 0)
+    ) < 0.01
+  );
+  // The tenure counts from the full EMI start
+  assert.strictEqual(schedule.length, 129);
+  assert.ok(schedule[schedule.length - 1].balance < 0.01);
+});
+
+test("a due day charges broken-period interest by the day count", () => {
+  const run = (convention) =>
+    simulateLoan({
+      ...baseScenario,
+      dayCount: { convention, emiDueDay: 5 },
+    });
+  const thirty = run(DAY_COUNT_30_360);
+  const actual = run(DAY_COUNT_ACTUAL_365);
+
+  // The cycle starts on 5 Feb, so the first EMI falls due on 5 Mar
+  assert.strictEqual(actual.totals.brokenPeriodDays, 26);
+  assert.strictEqual(actual.schedule[0].month, "2024-03");
+  assert.ok(actual.schedule[0].dueDate.startsWith("2024-03-05"));
+  assert.ok(
+    Math.abs(actual.schedule[0].brokenPeriodInterest - (7500 * 12 * 26) / 365) <
+      0.01
+  );
+  assert.ok(Math.abs(thirty.schedule[0].brokenPeriodInterest - 6250) < 0.01);
+  assert.ok(
+    Math.abs(
+      actual.schedule[0].emiDue -
+        (actual.schedule[0].emi + actual.schedule[0].brokenPeriodInterest)
+    ) < 0.01
+  );
+
+  // Actual days: a 31-day month costs more interest than a 30-day one
+  const march = actual.schedule[1].interest / actual.schedule[0].balance;
+  const april = actual.schedule[2].interest / actual.schedule[1].balance;
+  assert.ok(Math.abs(march / april - 31 / 30) < 1e-9);
+  assert.ok(actual.schedule[actual.schedule.length - 1].balance < 0.01);
+});
+
+test("Actual/Actual counts leap-year days as 1/366", () => {
+  const from = new Date(2023, 11, 1);
+  const to = new Date(2024, 0, 1);
+  assert.ok(
+    Math.abs(yearFraction(from, to, DAY_COUNT_ACTUAL_ACTUAL) - 31 / 365) < 1e-12
+  );
+  assert.ok(
+    Math.abs(
+      yearFraction(to, new Date(2024, 1, 1), DAY_COUNT_ACTUAL_ACTUAL) - 31 / 366
+    ) < 1e-12
+  );
+  assert.ok(
+    Math.abs(
+      yearFraction(to, new Date(2025, 0, 1), DAY_COUNT_ACTUAL_365) - 366 / 365
+    ) < 1e-12
+  );
+});
+
+test("a benchmark series resets the rate at its spread", () => {
+  const floatingRate = {
+    enabled: true,
+    series: [
+      { date: "2024-01-01", rate: 6.5 },
+      { date: "2024-05-01", rate: 6.25 },
+    ],
+    spread: 2.5,
+    resetFrequency: 3,
+    resetLag: 0,
+  };
+  const { schedule, totals } = simulateLoan({ ...baseScenario, floatingRate });
+  const changes = schedule.filter((row) => row.roiChange !== null);
+
+  // The April reset leaves 9% unchanged; July picks up the May cut
+  assert.strictEqual(totals.benchmarkResets, 1);
+  assert.deepStrictEqual(
+    changes.map((row) => [row.month, row.roiChange, row.roiDerived]),
+    [["2024-07", 8.75, true]]
+  );
+
+  // A manual change in the same month wins
+  const manual = simulateLoan({
+    ...baseScenario,
+    floatingRate,
+    roiChanges: { "2024-07": 10 },
+  }).schedule.find((row) => row.month === "2024-07");
+  assert.strictEqual(manual.roiChange, 10);
+  assert.strictEqual(manual.roiDerived, false);
+});
+
+test("a moratorium capitalises interest and re-balances after it", () => {
+  const emi = simulateLoan(baseScenario).schedule[0].emi;
+  const run = (interest, after) =>
+    simulateLoan({
+      ...baseScenario,
+      moratoriums: [
+        { startMonth: "2024-06", endMonth: "2024-08", interest, after },
+      ],
+    });
+  const raised = run(MORATORIUM_CAPITALISE, MORATORIUM_RAISE_EMI);
+  const extended = run(MORATORIUM_CAPITALISE, MORATORIUM_EXTEND_TENURE);
+  const interestOnly = run(MORATORIUM_PAY_INTEREST, MORATORIUM_RAISE_EMI);
+  const holidayRows = raised.schedule.filter((row) => row.moratorium);
+  const next = (result) =>
+    result.schedule.find((row) => row.month === "2024-09");
+
+  assert.deepStrictEqual(
+    holidayRows.map((row) => row.month),
+    ["2024-06", "2024-07", "2024-08"]
+  );
+  assert.ok(holidayRows.every((row) => row.emi === 0 && row.principal === 0));
+  assert.ok(
+    Math.abs(
+      raised.totals.capitalisedInterest -
+        holidayRows.reduce((s, row) => s + row.interest, 0)
+    ) < 0.01
+  );
+  // The cost is reported on the last month of the holiday
+  assert.ok(raised.totals.moratoriumCost > 0);
+  assert.ok(
+    Math.abs(holidayRows[2].moratoriumCost - raised.totals.moratoriumCost) <
+      0.01
+  );
+
+  assert.strictEqual(raised.schedule.length, 120);
+  assert.ok(next(raised).emi > emi);
+  assert.ok(extended.schedule.length > 120);
+  assert.ok(Math.abs(next(extended).emi - emi) < 1e-6);
+  assert.ok(extended.totals.moratoriumCost > raised.totals.moratoriumCost);
+  // Paying the interest keeps the balance and costs the least
+  assert.strictEqual(interestOnly.totals.capitalisedInterest, 0);
+  assert.ok(interestOnly.totals.moratoriumCost < raised.totals.moratoriumCost);
+});
+
+test("a missed EMI is charged a bounce fee and penal interest", () => {
+  const { schedule, totals } = simulateLoan({
+    ...baseScenario,
+    emiPayments: { "2024-03": 0 },
+  });
+  const missed = schedule.find((row) => row.month === "2024-03");
+  const next = schedule.find((row) => row.month === "2024-04");
+
+  assert.strictEqual(missed.bounceCharge, 500);
+  assert.strictEqual(missed.shortfall, missed.emiDue);
+  assert.ok(Math.abs(missed.overdue - (missed.emiDue + 500)) < 0.01);
+  // 24% a year on the unpaid EMI for one month
+  assert.ok(Math.abs(next.penalInterest - (missed.emiDue * 0.24) / 12) < 0.01);
+  assert.ok(
+    Math.abs(next.arrearsPaid - (missed.overdue + next.penalInterest)) < 0.01
+  );
+  assert.strictEqual(totals.bounceCharges, 500);
+  assert.ok(
+    Math.abs(totals.delinquencyCost - (500 + next.penalInterest)) < 0.01
+  );
+
+  // A partial payment bounces too; whatever it does not cover stays overdue
+  const partial = simulateLoan({
+    ...baseScenario,
+    emiPayments: { "2024-03": 0, "2024-04": 10000 },
+  }).schedule.find((row) => row.month === "2024-04");
+  assert.strictEqual(partial.bounceCharge, 500);
+  assert.ok(
+    Math.abs(
+      partial.overdue -
+        (missed.overdue + next.penalInterest + 500 + partial.emiDue - 10000)
+    ) < 0.01
+  );
+});
+
+test("fees and financed insurance raise the effective rate", () => {
+  const charges = resolveCharges(
+    {
+      processingFee: 0.5,
+      processingFeeType: FEE_PERCENT,
+      legalCharges: 5000,
+      insurancePremium: 20000,
+      insuranceFinanced: true,
+    },
+    1000000
+  );
+  assert.strictEqual(charges.upfront, 10000);
+  assert.strictEqual(charges.financed, 20000);
+  assert.strictEqual(charges.total, 30000);
+
+  // Without charges the APR is the quoted rate
+  const plain = simulateLoan(baseScenario).totals;
+  assert.ok(Math.abs(plain.apr - 9) < 0.05);
+  const withFee = simulateLoan({
+    ...baseScenario,
+    charges: { processingFee: 10000, processingFeeType: FEE_AMOUNT },
+  }).totals;
+  assert.strictEqual(withFee.upfrontCharges, 10000);
+  assert.ok(withFee.apr > plain.apr + 0.1);
+  assert.ok(withFee.xirr > withFee.apr);
+  const financed = simulateLoan({
+    ...baseScenario,
+    charges: { insurancePremium: 20000, insuranceFinanced: true },
+  }).totals;
+  assert.strictEqual(financed.openingBalance, 1020000);
+  assert.ok(financed.apr > plain.apr + 0.1);
+});
+
+test("XIRR solves for the annual rate of dated flows", () => {
+  const rate = calculateXIRR([
+    { date: new Date(2023, 0, 1), amount: -1000 },
+    { date: new Date(2024, 0, 1), amount: 1100 },
+  ]);
+  assert.ok(Math.abs(rate - 0.1) < 1e-6);
+  assert.strictEqual(
+    calculateXIRR([{ date: new Date(2023, 0, 1), amount: -1000 }]),
+    null
+  );
+});
+
+test("tax benefits are capped per financial year under the old regime", () => {
+  const { schedule } = simulateLoan({ ...baseScenario, loanAmount: 5000000 });
+  const old = calculateTaxBenefits(schedule, {
+    regime: TAX_REGIME_OLD,
+    slabRate: 30,
+  });
+  const fy2024 = old.years.find((year) => year.fy === 2024);
+
+  // The first EMIs (Feb, Mar 2024) fall in FY 2023-24
+  assert.strictEqual(old.years[0].label, "FY 2023-24");
+  assert.ok(fy2024.interest > SECTION_24B_CAP);
+  assert.strictEqual(fy2024.interestDeduction, SECTION_24B_CAP);
+  assert.strictEqual(fy2024.principalDeduction, SECTION_80C_CAP);
+  assert.ok(Math.abs(fy2024.taxSaved - 350000 * 0.3 * 1.04) < 0.01);
+  assert.ok(fy2024.refundDate.startsWith("2025-03-31"));
+
+  // Other 80C investments use up part of the principal cap
+  const shared = calculateTaxBenefits(schedule, {
+    slabRate: 30,
+    other80C: 100000,
+  }).years.find((year) => year.fy === 2024);
+  assert.strictEqual(shared.principalDeduction, 50000);
+
+  const regimeNew = calculateTaxBenefits(schedule, {
+    regime: TAX_REGIME_NEW,
+    slabRate: 30,
+  });
+  assert.strictEqual(regimeNew.totalTaxSaved, 0);
+  assert.ok(Math.abs(regimeNew.postTaxInterest - old.totalInterest) < 0.01);
+});
+
+test("pre-EMI interest is deducted in five parts from possession", () => {
+  const { schedule, totals } = simulateLoan({
+    ...baseScenario,
+    loanAmount: 3000000,
+    preEmi: { enabled: true, initialDisbursement: 1000000 },
+    disbursements: { "2024-06": 1000000, "2024-10": 1000000 },
+  });
+  const { years } = calculateTaxBenefits(schedule, { slabRate: 30 });
+  const parts = years.filter((year) => year.preConstruction > 0);
+
+  assert.deepStrictEqual(
+    parts.map((year) => year.fy),
+    [2024, 2025, 2026, 2027, 2028]
+  );
+  parts.forEach((year) =>
+    assert.ok(Math.abs(year.preConstruction - totals.preEmiInterest / 5) < 0.01)
+  );
+});
+
+test("yearly statements split by financial or calendar year", () => {
+  const { schedule, totals } = simulateLoan(baseScenario);
+  const financial = aggregateByYear(schedule, YEAR_FINANCIAL);
+  const calendar = aggregateByYear(schedule, YEAR_CALENDAR);
+
+  // EMIs from Feb 2024 to Jan 2034
+  assert.strictEqual(financial[0].label, "FY 2023-24");
+  assert.strictEqual(financial[0].months, 2);
+  assert.strictEqual(financial[1].months, 12);
+  assert.strictEqual(calendar[0].label, "CY 2024");
+  assert.strictEqual(calendar[0].months, 11);
+  assert.strictEqual(calendar[calendar.length - 1].months, 1);
+
+  [financial, calendar].forEach((years) => {
+    assert.strictEqual(
+      years.reduce((s, year) => s + year.months, 0),
+      schedule.length
+    );
+    assert.ok(
+      Math.abs(
+        years.reduce((s, year) => s + year.interest, 0) - totals.totalInterest
+      ) < 0.01
+    );
+    const year = years[1];
+    assert.strictEqual(year.closingBalance, schedule[year.lastIdx].balance);
+  });
+});
+
+test("comparison metrics measure a scenario against its own baseline", () => {
+  const plain = scenarioMetrics(baseScenario);
+  const prepaid = scenarioMetrics({
+    ...baseScenario,
+    prepayments: { "2025-01": 100000 },
+  });
+
+  assert.strictEqual(plain.interestSaved, 0);
+  assert.strictEqual(plain.months, 120);
+  assert.strictEqual(plain.balances.length, 120);
+  assert.ok(prepaid.months < plain.months);
+  assert.ok(prepaid.interestSaved > 0);
+  assert.strictEqual(prepaid.emi, plain.emi);
+  assert.strictEqual(
+    prepaid.completionDate,
+    prepaid.balances[prepaid.balances.length - 1].date
+  );
+});
+
+test("an unversioned file is upgraded through every version", () => {
+  const { scenario, notes } = migrateScenario({
+    id: "old",
+    timestamp: "2024-01-10T00:00:00.000Z",
+    loanAmount: 1000000,
+    roiStart: 9,
+    tenureMonths: 120,
+    prepayments: { 12: 100000 },
+  });
+
+  assert.strictEqual(scenario.version, SCENARIO_VERSION);
+  // 2.0 → 2.1 takes the loan start from the save time
+  assert.strictEqual(scenario.loanStartDate, "2024-01-10T00:00:00.000Z");
+  // 2.1 → 3.0 notes the settings left at their defaults
+  assert.ok(notes.some((note) => note.includes("repaymentStructure")));
+  // 3.0 → 3.1 places row 12 on the calendar month it fell due in
+  assert.deepStrictEqual(scenario.prepayments, { "2025-02": 100000 });
+  SCENARIO_MIGRATIONS.forEach((step) =>
+    assert.ok(
+      notes.includes(`Upgraded from version ${step.from} to ${step.to}`)
+    )
+  );
+});
+
+test("scenario files are validated, cleaned and reported", () => {
+  const { scenario, errors, report } = prepareScenarioFile({
+    ...baseScenario,
+    id: "file",
+    version: SCENARIO_VERSION,
+    roiStart: "8.5",
+    prepayments: { "2025-01": 100000, 12: 5000 },
+    tax: { regime: "flat" },
+    colour: "blue",
+  });
+
+  assert.deepStrictEqual(errors, []);
+  assert.strictEqual(scenario.roiStart, 8.5);
+  assert.deepStrictEqual(scenario.prepayments, { "2025-01": 100000 });
+  assert.deepStrictEqual(scenario.tax, {});
+  assert.strictEqual(scenario.colour, undefined);
+  assert.ok(report.some((line) => line.startsWith("Fixed roiStart")));
+  assert.ok(report.some((line) => line.startsWith("Ignored tax.regime")));
+  assert.ok(report.some((line) => line.startsWith("Ignored colour")));
+
+  const missing = prepareScenarioFile({ id: "file", loanAmount: 1000000 });
+  assert.strictEqual(missing.scenario, null);
+  assert.ok(missing.errors.some((error) => error.startsWith("roiStart")));
+  assert.ok(
+    validateScenario({ ...baseScenario, id: "x", tenureMonths: 0 }).some(
+      (issue) => issue.path === "tenureMonths"
+    )
+  );
+});
+
+test("a due day late in the month falls on the last day of short months", () => {
+  const { schedule } = simulateLoan({
+    ...baseScenario,
+    loanStartDate: "2024-01-31T00:00:00.000Z",
+    dayCount: { emiDueDay: 31 },
+  });
+
+  assert.deepStrictEqual(
+    schedule.slice(0, 4).map((row) => row.dueDate.slice(0, 10)),
+    ["2024-02-29", "2024-03-31", "2024-04-30", "2024-05-31"]
+  );
+  assert.deepStrictEqual(
+    schedule.slice(0, 4).map((row) => row.month),
+    ["2024-02", "2024-03", "2024-04", "2024-05"]
+  );
+  assert.strictEqual(schedule[0].brokenPeriodInterest, 0);
+});
@@ -0,0 +1,178 @@
+/*
+  FILE: scenario-library.js
+  Persistent scenario library kept in the browser's IndexedDB:
+
+  - Records are { id, name, tags, created, modified, data } where `data` is
+    the same object saveScenario() writes to a LOAN_*.json file
+  - `id` is the scenario ID from generateScenarioId()
+  - DOM-free; every storage call returns a Promise
+  - Loaded as a plain <script> before app.js
+*/
+
+/////////////////////// Storage ///////////////////////
+
+const LIBRARY_DB_NAME = "loanCalculatorLibrary";
+const LIBRARY_DB_VERSION = 1;
+const LIBRARY_STORE = "scenarios";
+
+let libraryDb = null;
+
+function openLibrary() {
+  if (libraryDb) return Promise.resolve(libraryDb);
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+    const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(LIBRARY_STORE, { keyPath: "id" });
+    };
+    request.onsuccess = () => {
+      libraryDb = request.result;
+      resolve(libraryDb);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run one request against the scenario store and resolve with its result.
+ */
+async function libraryRequest(mode, run) {
+  const db = await openLibrary();
+  return new Promise((resolve, reject) => {
+    const store = db
+      .transaction(LIBRARY_STORE, mode)
+      .objectStore(LIBRARY_STORE);
+    const request = run(store);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function listLibraryScenarios() {
+  return libraryRequest("readonly", (store) => store.getAll());
+}
+
+function getLibraryScenario(id) {
+  return libraryRequest("readonly", (store) => store.get(id));
+}
+
+function deleteLibraryScenario(id) {
+  return libraryRequest("readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Store a scenario file object under its ID. An existing record keeps its
+ * name, tags and created date unless `details` ({ name, tags }) says
+ * otherwise.
+ */
+async function saveLibraryScenario(data, details) {
+  const existing = await getLibraryScenario(data.id);
+  const d = details || {};
+  const now = new Date().toISOString();
+  const record = {
+    id: data.id,
+    name: d.name || (existing && existing.name) || data.id,
+    tags: d.tags || (existing && existing.tags) || [],
+    created: existing ? existing.created : now,
+    modified: now,
+    data,
+  };
+  await libraryRequest("readwrite", (store) => store.put(record));
+  return record;
+}
+
+/**
+ * Rename or retag a record ({ name, tags }); the scenario itself is
+ * untouched.
+ */
+async function updateLibraryScenario(id, changes) {
+  const existing = await getLibraryScenario(id);
+  if (!existing) throw new Error(`Scenario ${id} is not in the library`);
+  const record = {
+    ...existing,
+    ...changes,
+    modified: new Date().toISOString(),
+  };
+  await libraryRequest("readwrite", (store) => store.put(record));
+  return record;
+}
+
+/**
+ * Copy a record under a new scenario ID.
+ */
+async function duplicateLibraryScenario(id, newId) {
+  const existing = await getLibraryScenario(id);
+  if (!existing) throw new Error(`Scenario ${id} is not in the library`);
+  return saveLibraryScenario(
+    { ...existing.data, id: newId },
+    { name: `${existing.name} (copy)`, tags: [...existing.tags] }
+  );
+}
+
+/////////////////////// Search & sort ///////////////////////
+
+const LIBRARY_SORT_MODIFIED = "modified";
+const LIBRARY_SORT_NAME = "name";
+const LIBRARY_SORT_CREATED = "created";
+
+/**
+ * Tags from comma-separated text: trimmed, without blanks or duplicates.
+ */
+function parseTags(text) {
+  return [
+    ...new Set(
+      String(text || "")
+        .split(",")
+        .map((tag) => tag.trim())
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/**
+ * Records matching every word of `query` in their name, ID or tags.
+ */
+function filterLibrary(records, query) {
+  const words = String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean);
+  return records.filter((record) => {
+    const text = [record.name, record.id, ...record.tags]
+      .join(" ")
+      .toLowerCase();
+    return words.every((word) => text.includes(word));
+  });
+}
+
+function sortLibrary(records, sortBy) {
+  const sorted = [...records];
+  if (sortBy === LIBRARY_SORT_NAME) {
+    sorted.sort((a, b) => a.name.localeCompare(b.name));
+  } else {
+    const key = sortBy === LIBRARY_SORT_CREATED ? "created" : "modified";
+    sorted.sort((a, b) => b[key].localeCompare(a[key]));
+  }
+  return sorted;
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LIBRARY_SORT_MODIFIED,
+    LIBRARY_SORT_NAME,
+    LIBRARY_SORT_CREATED,
+    openLibrary,
+    listLibraryScenarios,
+    getLibraryScenario,
+    deleteLibraryScenario,
+    saveLibraryScenario,
+    updateLibraryScenario,
+    duplicateLibraryScenario,
+    parseTags,
+    filterLibrary,
+    sortLibrary,
+  };
+}
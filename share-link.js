@@ -0,0 +1,102 @@
+/*
+  FILE: share-link.js
+  Scenario links: a whole scenario file object packed into the URL
+  fragment, so a plan can be shared without a file:
+
+  - Fragment is "#scenario=<format>.<payload>"; the format tag says how the
+    payload was packed, so links made today keep opening later
+  - "z1" = deflate-raw compressed JSON, "j1" = plain JSON (browsers without
+    CompressionStream); both base64url encoded, which is URL-safe
+  - Browsers never send the fragment to a server
+  - DOM-free; encoding and decoding return Promises
+  - Loaded as a plain <script> before app.js
+*/
+
+const SHARE_LINK_PREFIX = "#scenario=";
+const SHARE_FORMAT_DEFLATE = "z1";
+const SHARE_FORMAT_JSON = "j1";
+
+// Mail and chat apps may cut off links longer than this
+const SHARE_LINK_SAFE_LENGTH = 8000;
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+/**
+ * Run bytes through a (De)CompressionStream and collect the output.
+ */
+async function transformBytes(bytes, stream) {
+  const writer = stream.writable.getWriter();
+  const [, output] = await Promise.all([
+    writer.write(bytes).then(() => writer.close()),
+    new Response(stream.readable).arrayBuffer(),
+  ]);
+  return new Uint8Array(output);
+}
+
+/**
+ * URL fragment ("#scenario=…") holding a scenario file object.
+ */
+async function encodeScenarioLink(data) {
+  const json = new TextEncoder().encode(JSON.stringify(data));
+  if (typeof CompressionStream === "undefined") {
+    return `${SHARE_LINK_PREFIX}${SHARE_FORMAT_JSON}.${bytesToBase64Url(json)}`;
+  }
+  const packed = await transformBytes(
+    json,
+    new CompressionStream("deflate-raw")
+  );
+  return `${SHARE_LINK_PREFIX}${SHARE_FORMAT_DEFLATE}.${bytesToBase64Url(
+    packed
+  )}`;
+}
+
+/**
+ * The scenario file object in a URL fragment, or null when the fragment is
+ * not a scenario link. Throws when the link is damaged or its format is
+ * unknown.
+ */
+async function decodeScenarioLink(hash) {
+  if (!hash || !hash.startsWith(SHARE_LINK_PREFIX)) return null;
+  const [format, payload] = hash.slice(SHARE_LINK_PREFIX.length).split(".");
+  if (!payload) throw new Error("The scenario link is incomplete");
+
+  let bytes;
+  if (format === SHARE_FORMAT_JSON) {
+    bytes = base64UrlToBytes(payload);
+  } else if (format === SHARE_FORMAT_DEFLATE) {
+    if (typeof DecompressionStream === "undefined") {
+      throw new Error("This browser cannot open compressed scenario links");
+    }
+    bytes = await transformBytes(
+      base64UrlToBytes(payload),
+      new DecompressionStream("deflate-raw")
+    );
+  } else {
+    throw new Error(`Unknown scenario link format "${format}"`);
+  }
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SHARE_LINK_PREFIX,
+    SHARE_LINK_SAFE_LENGTH,
+    encodeScenarioLink,
+    decodeScenarioLink,
+  };
+}
@@ -0,0 +1,344 @@
+/*
+  FILE: xlsx-export.js
+  Minimal Excel workbook (.xlsx) writer, so schedules export offline with
+  real numbers, formulas and formats instead of quoted CSV text:
+
+  - A workbook is a zip of SpreadsheetML parts; the zip is written here
+    uncompressed ("stored"), which every spreadsheet app opens
+  - Sheets are { name, columns: [widths], rows: [[cell]], freezeRows }
+  - A cell is a string, a number, a Date, null (empty) or an object
+    { value, formula, style } where `style` is a key of XLSX_STYLES and
+    `value` is the cached result shown until the formula recalculates
+  - Money uses Indian digit grouping (12,34,56,789.00)
+  - DOM-free; loaded as a plain <script> before app.js
+*/
+
+const XLSX_MIME =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Cell styles: index into <cellXfs> in styles.xml
+const XLSX_STYLES = {
+  text: 0,
+  header: 1,
+  money: 2,
+  date: 3,
+  percent: 4,
+  integer: 5,
+  total: 6,
+  month: 7,
+};
+
+// Custom number formats (ids from 164 are free for workbooks)
+const XLSX_NUMBER_FORMATS = [
+  [
+    164,
+    "[>=10000000]##\\,##\\,##\\,##0.00;[>=100000]##\\,##\\,##0.00;##,##0.00",
+  ],
+  [165, "dd mmm yyyy"],
+  [166, '0.00"%"'],
+  [167, "mmm yyyy"],
+];
+
+/////////////////////// Zip ///////////////////////
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Zip archive (no compression) of [{ name, data: Uint8Array }].
+ */
+function buildZip(files, date) {
+  const d = date || new Date();
+  const dosTime =
+    (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+  const dosDate =
+    ((Math.max(1980, d.getFullYear()) - 1980) << 9) |
+    ((d.getMonth() + 1) << 5) |
+    d.getDate();
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+    // Shared by the local header and the central directory entry:
+    // version, flags (UTF-8 names), method (stored), time, date, crc, sizes
+    const common = (view, at) => {
+      view.setUint16(at, 20, true);
+      view.setUint16(at + 2, 0x0800, true);
+      view.setUint16(at + 4, 0, true);
+      view.setUint16(at + 6, dosTime, true);
+      view.setUint16(at + 8, dosDate, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, size, true);
+      view.setUint32(at + 18, size, true);
+      view.setUint16(at + 22, name.length, true);
+    };
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    common(localView, 4);
+    local.set(name, 30);
+    chunks.push(local, file.data);
+
+    const entry = new Uint8Array(46 + name.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true);
+    entryView.setUint16(4, 20, true);
+    common(entryView, 6);
+    entryView.setUint32(42, offset, true);
+    entry.set(name, 46);
+    central.push(entry);
+
+    offset += local.length + size;
+  });
+
+  const centralSize = central.reduce((s, c) => s + c.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const parts = [...chunks, ...central, end];
+  const zip = new Uint8Array(parts.reduce((s, p) => s + p.length, 0));
+  let at = 0;
+  parts.forEach((p) => {
+    zip.set(p, at);
+    at += p.length;
+  });
+  return zip;
+}
+
+/////////////////////// Workbook ///////////////////////
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/** "A", "B", … "Z", "AA" for a 0-based column index. */
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/** Excel date serial (days since 30 Dec 1899) of a date's local day. */
+function excelDate(date) {
+  const d = new Date(date);
+  return (
+    (Date.UTC(d.getFullYear(), d.getMonth(), d.getDate()) -
+      Date.UTC(1899, 11, 30)) /
+    86400000
+  );
+}
+
+function cellXml(cell, ref) {
+  if (cell === null || cell === undefined || cell === "") return "";
+  const spec =
+    typeof cell === "object" && !(cell instanceof Date)
+      ? cell
+      : { value: cell };
+  let value = spec.value;
+  let style = spec.style;
+  if (value instanceof Date) {
+    value = excelDate(value);
+    style = style || "date";
+  }
+  const s = XLSX_STYLES[style] ? ` s="${XLSX_STYLES[style]}"` : "";
+  const formula = spec.formula ? `<f>${escapeXml(spec.formula)}</f>` : "";
+  if (typeof value === "number" && isFinite(value)) {
+    return `<c r="${ref}"${s}>${formula}<v>${value}</v></c>`;
+  }
+  if (formula) return `<c r="${ref}"${s}>${formula}</c>`;
+  if (value === null || value === undefined) return "";
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    value
+  )}</t></is></c>`;
+}
+
+function sheetXml(sheet) {
+  const freeze = sheet.freezeRows || 0;
+  const pane = freeze
+    ? `<pane ySplit="${freeze}" topLeftCell="A${
+        freeze + 1
+      }" activePane="bottomLeft" state="frozen"/>`
+    : "";
+  const cols = (sheet.columns || [])
+    .map(
+      (width, i) =>
+        `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`
+    )
+    .join("");
+  const rows = sheet.rows
+    .map((row, r) => {
+      const cells = row
+        .map((cell, c) => cellXml(cell, `${columnName(c)}${r + 1}`))
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetViews><sheetView workbookViewId="0">${pane}</sheetView></sheetViews>` +
+    (cols ? `<cols>${cols}</cols>` : "") +
+    `<sheetData>${rows}</sheetData></worksheet>`
+  );
+}
+
+function stylesXml() {
+  const numFmts = XLSX_NUMBER_FORMATS.map(
+    ([id, code]) => `<numFmt numFmtId="${id}" formatCode="${escapeXml(code)}"/>`
+  ).join("");
+  // Order matches XLSX_STYLES: [numFmtId, fontId]
+  const xfs = [
+    [0, 0],
+    [0, 1],
+    [164, 0],
+    [165, 0],
+    [166, 0],
+    [1, 0],
+    [164, 1],
+    [167, 0],
+  ]
+    .map(
+      ([numFmt, font]) =>
+        `<xf numFmtId="${numFmt}" fontId="${font}" fillId="0" borderId="0" xfId="0"${
+          numFmt ? ' applyNumberFormat="1"' : ""
+        }${font ? ' applyFont="1"' : ""}/>`
+    )
+    .join("");
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<numFmts count="${XLSX_NUMBER_FORMATS.length}">${numFmts}</numFmts>` +
+    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font>' +
+    '<font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill>' +
+    '<fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    `<cellXfs count="${Object.keys(XLSX_STYLES).length}">${xfs}</cellXfs>` +
+    "</styleSheet>"
+  );
+}
+
+/**
+ * .xlsx file bytes for a list of sheets (see the file header for shapes).
+ * Formulas are recalculated when the workbook is opened.
+ */
+function buildXlsx(sheets) {
+  const encoder = new TextEncoder();
+  const file = (name, xml) => ({ name, data: encoder.encode(xml) });
+  const xmlHead = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
+  const rel =
+    "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+  const files = [
+    file(
+      "[Content_Types].xml",
+      xmlHead +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        sheets
+          .map(
+            (s, i) =>
+              `<Override PartName="/xl/worksheets/sheet${
+                i + 1
+              }.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+          )
+          .join("") +
+        "</Types>"
+    ),
+    file(
+      "_rels/.rels",
+      xmlHead +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        `<Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/>` +
+        "</Relationships>"
+    ),
+    file(
+      "xl/workbook.xml",
+      xmlHead +
+        `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${rel}">` +
+        "<sheets>" +
+        sheets
+          .map(
+            (s, i) =>
+              `<sheet name="${escapeXml(s.name)}" sheetId="${i + 1}" r:id="rId${
+                i + 1
+              }"/>`
+          )
+          .join("") +
+        '</sheets><calcPr fullCalcOnLoad="1"/></workbook>'
+    ),
+    file(
+      "xl/_rels/workbook.xml.rels",
+      xmlHead +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        sheets
+          .map(
+            (s, i) =>
+              `<Relationship Id="rId${
+                i + 1
+              }" Type="${rel}/worksheet" Target="worksheets/sheet${
+                i + 1
+              }.xml"/>`
+          )
+          .join("") +
+        `<Relationship Id="rId${
+          sheets.length + 1
+        }" Type="${rel}/styles" Target="styles.xml"/>` +
+        "</Relationships>"
+    ),
+    file("xl/styles.xml", stylesXml()),
+    ...sheets.map((s, i) =>
+      file(`xl/worksheets/sheet${i + 1}.xml`, sheetXml(s))
+    ),
+  ];
+  return buildZip(files);
+}
+
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    XLSX_MIME,
+    XLSX_STYLES,
+    columnName,
+    excelDate,
+    buildZip,
+    buildXlsx,
+  };
+}